@@ -48,13 +48,302 @@ async function createDatabase() {
           id_token TEXT,
           expiry_date BIGINT,
           refresh_token_expires_in INT,
+          google_sub VARCHAR(255),
+          email VARCHAR(320),
+          display_name VARCHAR(255),
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE INDEX idx_google_sub (google_sub),
+          INDEX idx_email (email),
           INDEX idx_created_at (created_at),
           INDEX idx_updated_at (updated_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
       
+      // Create sessions table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id VARCHAR(64) PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          expires_at DATETIME NOT NULL,
+          revoked_at DATETIME NULL,
+          user_agent VARCHAR(255),
+          ip_address VARCHAR(45),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_user_id (user_id),
+          INDEX idx_expires_at (expires_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create OAuth states table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS oauth_states (
+          id VARCHAR(64) PRIMARY KEY,
+          user_id VARCHAR(21) NULL,
+          session_id VARCHAR(64) NULL,
+          expires_at DATETIME NOT NULL,
+          used_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_expires_at (expires_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create user settings table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS user_settings (
+          user_id VARCHAR(21) PRIMARY KEY,
+          llm_provider VARCHAR(50) NULL,
+          llm_model VARCHAR(100) NULL,
+          auto_triage_enabled TINYINT(1) NOT NULL DEFAULT 0,
+          auto_triage_categories TEXT NULL,
+          default_reply_mode VARCHAR(10) NULL,
+          undo_send_seconds INT NULL,
+          llm_daily_budget_usd DECIMAL(10, 2) NULL,
+          llm_monthly_budget_usd DECIMAL(10, 2) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create categories table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS categories (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          description TEXT,
+          examples TEXT,
+          default_action VARCHAR(200),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE INDEX idx_user_name (user_id, name),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create classifications table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS classifications (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          message_id VARCHAR(64) NOT NULL,
+          category VARCHAR(100),
+          action VARCHAR(255),
+          justification TEXT,
+          confidence DECIMAL(4,3),
+          status VARCHAR(20) NOT NULL,
+          model VARCHAR(100),
+          provider VARCHAR(50),
+          raw_response TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE INDEX idx_user_message (user_id, message_id),
+          INDEX idx_user_category (user_id, category),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create mailbox messages table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS mailbox_messages (
+          user_id VARCHAR(21) NOT NULL,
+          message_id VARCHAR(64) NOT NULL,
+          thread_id VARCHAR(64),
+          subject VARCHAR(998),
+          from_header VARCHAR(512),
+          date_header VARCHAR(255),
+          snippet TEXT,
+          internal_date BIGINT,
+          label_ids TEXT,
+          classify_attempts INT NOT NULL DEFAULT 0,
+          classify_failed_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, message_id),
+          INDEX idx_user_internal_date (user_id, internal_date),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create sync state table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS sync_state (
+          user_id VARCHAR(21) PRIMARY KEY,
+          history_id VARCHAR(32),
+          status VARCHAR(20),
+          last_error TEXT,
+          last_synced_at DATETIME NULL,
+          last_full_sync_at DATETIME NULL,
+          watch_expiration BIGINT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create triage runs table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS triage_runs (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          trigger_source VARCHAR(20) NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          processed INT NOT NULL DEFAULT 0,
+          classified INT NOT NULL DEFAULT 0,
+          labeled INT NOT NULL DEFAULT 0,
+          errors TEXT,
+          started_at DATETIME NOT NULL,
+          finished_at DATETIME NULL,
+          INDEX idx_user_started (user_id, started_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create reply drafts table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS reply_drafts (
+          draft_id VARCHAR(64) PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          message_id VARCHAR(64) NOT NULL,
+          thread_id VARCHAR(64) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_user_created (user_id, created_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create reply_templates table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS reply_templates (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          body TEXT NOT NULL,
+          category VARCHAR(100) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE INDEX idx_user_name (user_id, name),
+          UNIQUE INDEX idx_user_category (user_id, category),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create scheduled_sends table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_sends (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          message_id VARCHAR(64) NOT NULL,
+          reply_text MEDIUMTEXT NOT NULL,
+          options LONGTEXT,
+          send_at DATETIME NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+          attempts INT NOT NULL DEFAULT 0,
+          next_attempt_at DATETIME NOT NULL,
+          locked_at DATETIME NULL,
+          last_error TEXT,
+          result TEXT,
+          sent_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_status_next (status, next_attempt_at),
+          INDEX idx_user_send_at (user_id, send_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create reply_rules table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS reply_rules (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          enabled TINYINT(1) NOT NULL DEFAULT 1,
+          priority INT NOT NULL DEFAULT 100,
+          dry_run TINYINT(1) NOT NULL DEFAULT 1,
+          conditions TEXT NOT NULL,
+          actions TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_user_priority (user_id, priority),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create rule_executions table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS rule_executions (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          message_id VARCHAR(64) NOT NULL,
+          rule_id INT NULL,
+          rule_name VARCHAR(100) NOT NULL,
+          sender_email VARCHAR(255) NULL,
+          dry_run TINYINT(1) NOT NULL,
+          sent TINYINT(1) NOT NULL DEFAULT 0,
+          actions TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE INDEX idx_user_message (user_id, message_id),
+          INDEX idx_user_created (user_id, created_at),
+          INDEX idx_user_sender_sent (user_id, sender_email, sent, created_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (rule_id) REFERENCES reply_rules(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create audit_log table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          event_type VARCHAR(30) NOT NULL,
+          message_id VARCHAR(64) NULL,
+          prompt_hash CHAR(64) NULL,
+          model VARCHAR(100) NULL,
+          provider VARCHAR(50) NULL,
+          output MEDIUMTEXT,
+          edits MEDIUMTEXT,
+          metadata TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_user_created (user_id, created_at),
+          INDEX idx_user_message (user_id, message_id, event_type),
+          INDEX idx_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create LLM usage table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS llm_usage (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id VARCHAR(21) NOT NULL,
+          task VARCHAR(20) NOT NULL,
+          provider VARCHAR(50) NOT NULL,
+          model VARCHAR(100) NULL,
+          prompt_tokens INT NOT NULL DEFAULT 0,
+          completion_tokens INT NOT NULL DEFAULT 0,
+          cost_usd DECIMAL(12, 6) NOT NULL DEFAULT 0,
+          usage_date DATE NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_user_date (user_id, usage_date),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
+      // Create rate limit counters table
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS rate_limit_counters (
+          limit_key VARCHAR(191) NOT NULL,
+          window_start BIGINT NOT NULL,
+          hits INT NOT NULL DEFAULT 0,
+          expires_at BIGINT NOT NULL,
+          PRIMARY KEY (limit_key, window_start),
+          INDEX idx_expires (expires_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      
       console.log('✅ Tables created successfully\n');
     } else {
       console.error('❌ schema.sql file not found');
@@ -0,0 +1,145 @@
+/**
+ * One-off script to merge duplicate user rows that belong to the same Google account
+ * Older versions created a new user on every login; this groups rows by the Google
+ * subject ID (from the stored id_token), keeps one row per account and moves all
+ * data that references the duplicates over to it. Audit entries move too, so the account's
+ * history stays reachable through the audit API; each keeps the ID it was written for in
+ * metadata.originalUserId.
+ *
+ * Usage: node database/merge-duplicate-users.js [--dry-run]
+ */
+
+require('dotenv').config();
+const db = require('../utils/db');
+const { ensureDatabase } = require('../utils/initDb');
+const { decodeIdToken } = require('../utils/googleIdentity');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Pick the row to keep: prefer rows that can still refresh their tokens, then the most recently used
+ */
+function pickKeeper(rows) {
+  return [...rows].sort((a, b) => {
+    const refreshA = a.tokens.refresh_token ? 1 : 0;
+    const refreshB = b.tokens.refresh_token ? 1 : 0;
+    if (refreshA !== refreshB) return refreshB - refreshA;
+    return new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt);
+  })[0];
+}
+
+// Tables not moved with the generic UPDATE (audit_log is moved by moveAuditEntries)
+const UNMERGED_TABLES = ['users', 'audit_log'];
+
+/**
+ * Find every table (other than UNMERGED_TABLES) with a user_id column
+ */
+async function getUserTables(pool) {
+  const [rows] = await pool.execute(`
+    SELECT TABLE_NAME AS tableName
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND COLUMN_NAME = 'user_id'
+  `);
+  return rows.map(row => row.tableName).filter(table => !UNMERGED_TABLES.includes(table));
+}
+
+/**
+ * Move a duplicate's audit entries to the kept user, recording the original user ID
+ * (JSON_INSERT keeps an originalUserId set by an earlier merge)
+ */
+async function moveAuditEntries(connection, keeperId, duplicateId) {
+  await connection.execute(
+    `UPDATE audit_log
+     SET user_id = ?,
+         metadata = IF(JSON_VALID(metadata), JSON_INSERT(metadata, '$.originalUserId', ?), JSON_OBJECT('originalUserId', ?))
+     WHERE user_id = ?`,
+    [keeperId, duplicateId, duplicateId, duplicateId]
+  );
+}
+
+async function mergeGroup(pool, userTables, keeper, duplicates, identity) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const duplicate of duplicates) {
+      for (const table of userTables) {
+        // IGNORE skips rows that would violate per-user unique keys; those are removed with the duplicate
+        await connection.execute(`UPDATE IGNORE ${table} SET user_id = ? WHERE user_id = ?`, [keeper.id, duplicate.id]);
+      }
+      await moveAuditEntries(connection, keeper.id, duplicate.id);
+      await connection.execute('DELETE FROM users WHERE id = ?', [duplicate.id]);
+    }
+
+    await connection.execute(
+      'UPDATE users SET google_sub = ?, email = ?, display_name = ? WHERE id = ?',
+      [identity.sub, identity.email || keeper.email || null, identity.name || keeper.displayName || null, keeper.id]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function mergeDuplicateUsers() {
+  console.log(`🚀 Merging duplicate users${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  // Make sure the identity columns exist
+  const ready = await ensureDatabase();
+  if (!ready) {
+    throw new Error('Database is not reachable or could not be migrated');
+  }
+
+  const pool = db.getPool();
+  const users = await db.users.findAll();
+  const groups = new Map();
+  let skipped = 0;
+
+  users.forEach(user => {
+    const decoded = decodeIdToken(user.tokens.id_token);
+    const sub = user.googleSub || decoded?.sub;
+    if (!sub) {
+      skipped++;
+      return;
+    }
+    if (!groups.has(sub)) {
+      groups.set(sub, { identity: { sub, email: decoded?.email, name: decoded?.name }, rows: [] });
+    }
+    groups.get(sub).rows.push(user);
+  });
+
+  const userTables = await getUserTables(pool);
+  let merged = 0;
+
+  for (const { identity, rows } of groups.values()) {
+    const keeper = pickKeeper(rows);
+    const duplicates = rows.filter(row => row.id !== keeper.id);
+
+    if (duplicates.length > 0) {
+      console.log(`👤 ${identity.email || identity.sub}: keeping ${keeper.id}, merging ${duplicates.map(d => d.id).join(', ')}`);
+    }
+
+    // Also backfills google_sub/email/display_name on accounts without duplicates
+    if (!DRY_RUN) {
+      await mergeGroup(pool, userTables, keeper, duplicates, identity);
+    }
+    merged += duplicates.length;
+  }
+
+  console.log(`\n📊 Accounts: ${groups.size}`);
+  console.log(`   Duplicate rows ${DRY_RUN ? 'to merge' : 'merged'}: ${merged}`);
+  console.log(`   Rows skipped (no id_token to identify the account): ${skipped}`);
+  console.log('\n🎉 Done!');
+}
+
+// Run
+mergeDuplicateUsers()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
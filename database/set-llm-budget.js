@@ -0,0 +1,76 @@
+/**
+ * Set a user's LLM usage budgets (USD, per UTC day / month)
+ * Budgets are not writable through the settings API, so users cannot raise their own.
+ * "default" clears a budget, so the LLM_DAILY_BUDGET_USD / LLM_MONTHLY_BUDGET_USD default applies.
+ *
+ * Usage: node database/set-llm-budget.js <userId> [--daily <usd|default>] [--monthly <usd|default>]
+ * With no options, prints the user's current budgets and spend.
+ */
+
+require('dotenv').config();
+const db = require('../utils/db');
+const { ensureDatabase } = require('../utils/initDb');
+const usageService = require('../services/usageService');
+
+const FIELDS = { '--daily': 'llmDailyBudgetUsd', '--monthly': 'llmMonthlyBudgetUsd' };
+
+/**
+ * Parse "--daily 5 --monthly default" into settings fields
+ */
+function parseArgs(args) {
+  const updates = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const field = FIELDS[args[i]];
+    const value = args[i + 1];
+    if (!field || value === undefined) {
+      throw new Error(`Unexpected argument "${args[i]}". Use --daily <usd|default> and/or --monthly <usd|default>`);
+    }
+    if (value === 'default') {
+      updates[field] = null;
+    } else if (/^\d+(\.\d{1,2})?$/.test(value) && parseFloat(value) > 0) {
+      updates[field] = parseFloat(value);
+    } else {
+      throw new Error(`${args[i]} must be a positive amount in USD (e.g. 5 or 2.50) or "default"`);
+    }
+  }
+  return updates;
+}
+
+function formatBudget(value) {
+  return value === null ? 'unlimited' : `$${value.toFixed(2)}`;
+}
+
+async function setLlmBudget() {
+  const [userId, ...args] = process.argv.slice(2);
+  if (!userId) {
+    throw new Error('Usage: node database/set-llm-budget.js <userId> [--daily <usd|default>] [--monthly <usd|default>]');
+  }
+  const updates = parseArgs(args);
+
+  const ready = await ensureDatabase();
+  if (!ready) {
+    throw new Error('Database is not reachable or could not be migrated');
+  }
+
+  const user = await db.users.findById(userId, true);
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await db.userSettings.update(userId, updates);
+    console.log(`✅ Updated budgets for ${user.email || userId}`);
+  }
+
+  const { budget } = await usageService.getUsage(userId);
+  console.log(`   Daily budget:   ${formatBudget(budget.dailyUsd)} (spent today: $${budget.spentTodayUsd.toFixed(2)})`);
+  console.log(`   Monthly budget: ${formatBudget(budget.monthlyUsd)} (spent this month: $${budget.spentThisMonthUsd.toFixed(2)})`);
+}
+
+// Run
+setLlmBudget()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
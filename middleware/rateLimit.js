@@ -0,0 +1,162 @@
+/**
+ * Rate Limit Middleware
+ * Limits requests per route group, keyed by client IP and by session user. Each limit is
+ * "max requests per window" in a fixed window; RATE_LIMIT_<GROUP>_<IP|USER>=max/seconds
+ * overrides the defaults below (0 turns that limit off, RATE_LIMIT_ENABLED=false turns all off).
+ * Responses carry RateLimit-Limit / -Remaining / -Reset / -Policy headers for the most
+ * restrictive limit that applied; rejected requests get 429 with Retry-After.
+ *
+ * Counters live in memory unless RATE_LIMIT_STORE=mysql or a custom store is set with setStore()
+ * (see utils/rateLimitStores.js for the store interface).
+ */
+
+const { createMemoryStore, createMySqlStore } = require('../utils/rateLimitStores');
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Default limits per group, as [max, window seconds] (null = no limit)
+ * auth - login and OAuth callback (IP only; no session yet)
+ * push - the Pub/Sub push webhook (IP only; no session)
+ * api  - every session-scoped route
+ * list - mailbox listing and sync (dozens of Gmail API calls each)
+ * ai   - LLM calls made for a request (classification, reply generation, triage runs); routes that
+ *        can answer without one (stored classifications, filled-in templates) charge it with
+ *        chargeRateLimit() only when they do call the model
+ * send - sending replies and drafts
+ */
+const DEFAULT_LIMITS = {
+  auth: { ip: [30, 900], user: null },
+  push: { ip: [600, 60], user: null },
+  api: { ip: [300, 60], user: [120, 60] },
+  list: { ip: [30, 60], user: [10, 60] },
+  ai: { ip: [30, 60], user: [10, 60] },
+  send: { ip: [60, 60], user: [20, 60] }
+};
+
+/**
+ * Parse "max/seconds" (e.g. "10/60"); "0" disables the limit
+ */
+function readLimit(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (value.trim() === '0') return null;
+  const match = value.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || parseInt(match[1], 10) < 1 || parseInt(match[2], 10) < 1) {
+    console.error(`[Rate Limit] Ignoring invalid limit "${value}" (expected max/seconds, e.g. 10/60)`);
+    return fallback;
+  }
+  return [parseInt(match[1], 10), parseInt(match[2], 10)];
+}
+
+const RATE_LIMITS = Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([group, keys]) => {
+  const limits = {};
+  for (const [by, fallback] of Object.entries(keys)) {
+    const limit = readLimit(process.env[`RATE_LIMIT_${group.toUpperCase()}_${by.toUpperCase()}`], fallback);
+    limits[by] = limit ? { max: limit[0], windowMs: limit[1] * 1000 } : null;
+  }
+  return [group, limits];
+}));
+
+let store = null;
+
+/**
+ * The store counters are kept in (created on first use)
+ */
+function getStore() {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'mysql' ? createMySqlStore() : createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the counter store, e.g. with a Redis-backed one shared by several instances
+ */
+function setStore(customStore) {
+  if (typeof customStore?.increment !== 'function' || typeof customStore?.resetKey !== 'function') {
+    throw new Error('A rate limit store needs increment(key, windowMs) and resetKey(key)');
+  }
+  store = customStore;
+}
+
+/**
+ * Set the RateLimit-* headers, unless a stricter limit already set them for this request
+ * (force: always set them, for the limit that rejected the request)
+ */
+function setHeaders(res, { max, windowMs }, remaining, resetSeconds, force = false) {
+  if (!force && res.locals.rateLimitRemaining !== undefined && res.locals.rateLimitRemaining <= remaining) return;
+  res.locals.rateLimitRemaining = remaining;
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`
+  });
+}
+
+function createLimiter(group, by, limit) {
+  return async function rateLimiter(req, res, next) {
+    const id = by === 'user' ? req.session?.userId : req.ip;
+    if (!id) return next();
+
+    let hit;
+    try {
+      hit = await getStore().increment(`${group}:${by}:${id}`, limit.windowMs);
+    } catch (err) {
+      // Fail open: an unavailable store must not take the API down
+      console.error(`[Rate Limit] Store "${getStore().name}" failed:`, err.message);
+      return next();
+    }
+
+    const remaining = Math.max(limit.max - hit.count, 0);
+    const resetSeconds = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 0);
+
+    if (hit.count > limit.max) {
+      setHeaders(res, limit, 0, resetSeconds, true);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: `Too many requests. Please try again in ${resetSeconds} seconds.`,
+        retryAfter: resetSeconds
+      });
+    }
+
+    setHeaders(res, limit, remaining, resetSeconds);
+    next();
+  };
+}
+
+/**
+ * rateLimit - middleware enforcing a group's limits.
+ * keys: which limits to apply, 'ip' and/or 'user' (default both). The user limit needs
+ * req.session, so use it after requireSession; requests without a session skip it.
+ * Returns: an array of middleware (a pass-through when rate limiting is off or no limit is configured)
+ */
+function rateLimit(group, ...keys) {
+  const limits = RATE_LIMITS[group];
+  if (!limits) {
+    throw new Error(`Unknown rate limit group "${group}". Available: ${Object.keys(RATE_LIMITS).join(', ')}`);
+  }
+
+  const limiters = ENABLED
+    ? (keys.length > 0 ? keys : ['ip', 'user']).filter(by => limits[by]).map(by => createLimiter(group, by, limits[by]))
+    : [];
+  // app.use() / router.use() reject an empty list
+  return limiters.length > 0 ? limiters : [(req, res, next) => next()];
+}
+
+/**
+ * chargeRateLimit - apply a group's limits from inside a route handler, for routes that only
+ * sometimes do the work the group limits. Sends the 429 response itself when a limit is exceeded.
+ * Returns: true if the request may go on
+ */
+async function chargeRateLimit(group, req, res, ...keys) {
+  for (const limiter of rateLimit(group, ...keys)) {
+    const passed = await new Promise(resolve => {
+      Promise.resolve(limiter(req, res, () => resolve(true))).then(() => resolve(false));
+    });
+    if (!passed) return false;
+  }
+  return true;
+}
+
+module.exports = { rateLimit, chargeRateLimit, setStore, getStore, RATE_LIMITS };
@@ -4,31 +4,68 @@
  */
 
 const db = require('../utils/db');
+const { authenticateRequest } = require('../utils/session');
+
+/**
+ * Middleware to require a valid session (cookie or Bearer token)
+ * Attaches the session to req.session
+ */
+async function requireSession(req, res, next) {
+  try {
+    const session = await authenticateRequest(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required. Please log in.' });
+    }
+    req.session = session;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Session validation failed' });
+  }
+}
+
+/**
+ * Resolve the session user and make sure it matches the userId in the route params
+ * Returns an error response descriptor, or the user when access is allowed
+ */
+async function resolveSessionUser(req, userId) {
+  const session = await authenticateRequest(req);
+  if (!session) {
+    return { status: 401, body: { error: 'Authentication required. Please log in.' } };
+  }
+
+  // The userId in the path must belong to the authenticated session
+  if (session.userId !== userId) {
+    return { status: 403, body: { error: 'Access denied. You can only access your own data.' } };
+  }
+
+  // Check if user exists (lightweight check without decryption)
+  const userExists = await db.users.exists(userId);
+  if (!userExists) {
+    return { status: 404, body: { error: 'User not found. Please authenticate first.', userId } };
+  }
+
+  // Get full user data with silent decryption to avoid warnings
+  const user = await db.users.findById(userId, true);
+  return { user };
+}
 
 /**
  * Middleware to validate that the userId in the route params exists
- * and optionally matches a session/token (for future session-based auth)
+ * and belongs to the authenticated session
  */
 async function validateUserId(req, res, next) {
   try {
     const { userId } = req.params;
-    
+
     if (!userId) {
       return res.status(400).json({ error: 'userId is required' });
     }
-    
-    // Check if user exists (lightweight check without decryption)
-    const userExists = await db.users.exists(userId);
-    if (!userExists) {
-      return res.status(404).json({ 
-        error: 'User not found. Please authenticate first.',
-        userId 
-      });
+
+    const { user, status, body } = await resolveSessionUser(req, userId);
+    if (!user) {
+      return res.status(status).json(body);
     }
-    
-    // Get full user data with silent decryption to avoid warnings
-    const user = await db.users.findById(userId, true);
-    
+
     // Attach user to request for use in route handlers
     req.validatedUser = user;
     next();
@@ -44,27 +81,19 @@ async function validateUserId(req, res, next) {
 async function validateEmailOwnership(req, res, next) {
   try {
     const { userId, messageId } = req.params;
-    
+
     if (!userId || !messageId) {
       return res.status(400).json({ error: 'userId and messageId are required' });
     }
-    
+
     // Note: Gmail messageId is from Gmail API, not our database
-    // We validate the userId instead - the Gmail API will enforce message ownership
-    // since it uses the user's OAuth tokens
-    
-    // Check if user exists (lightweight check without decryption)
-    const userExists = await db.users.exists(userId);
-    if (!userExists) {
-      return res.status(404).json({ 
-        error: 'User not found. Please authenticate first.',
-        userId 
-      });
+    // The session must own userId; the Gmail API then enforces message ownership
+    // since it uses that user's OAuth tokens
+    const { user, status, body } = await resolveSessionUser(req, userId);
+    if (!user) {
+      return res.status(status).json(body);
     }
-    
-    // Get full user data with silent decryption to avoid warnings
-    const user = await db.users.findById(userId, true);
-    
+
     req.validatedUser = user;
     next();
   } catch (error) {
@@ -73,7 +102,7 @@ async function validateEmailOwnership(req, res, next) {
 }
 
 module.exports = {
+  requireSession,
   validateUserId,
   validateEmailOwnership
 };
-
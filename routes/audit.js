@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/db');
+const auditService = require('../services/auditService');
+const { requireSession, validateUserId } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// CSV exports may cover more entries than a JSON page
+const MAX_EXPORT_LIMIT = 10000;
+const CSV_COLUMNS = ['id', 'createdAt', 'eventType', 'messageId', 'model', 'provider', 'promptHash', 'output', 'edits', 'metadata'];
+
+/**
+ * Parse list filters from the query string
+ * @returns {{ filters: object, error: string|null }}
+ */
+function parseFilters(query, maxLimit) {
+  const { eventType, messageId, from, to, limit, offset } = query;
+  const filters = {};
+
+  if (eventType !== undefined) {
+    if (!auditService.EVENT_TYPES.includes(eventType)) {
+      return { error: `eventType must be one of ${auditService.EVENT_TYPES.join(', ')}` };
+    }
+    filters.eventType = eventType;
+  }
+  if (messageId !== undefined) {
+    filters.messageId = String(messageId);
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${name} must be an ISO date such as 2024-01-31` };
+    }
+    filters[name] = date;
+  }
+
+  filters.limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), maxLimit);
+  filters.offset = Math.max(parseInt(offset, 10) || 0, 0);
+  return { filters, error: null };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from evaluating email text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+router.get('/:userId', validateUserId, async (req, res) => {
+  try {
+    const csv = req.query.format === 'csv';
+    const { filters, error } = parseFilters(req.query, csv ? MAX_EXPORT_LIMIT : MAX_LIMIT);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const entries = await db.auditLog.list(req.params.userId, filters);
+
+    if (csv) {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(entries));
+    }
+
+    res.json({ entries, limit: filters.limit, offset: filters.offset, retentionDays: auditService.RETENTION_DAYS });
+  } catch (err) {
+    res.status(500).json({
+      error: err.message || 'Failed to load audit log',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+module.exports = router;
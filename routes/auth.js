@@ -1,6 +1,11 @@
 const express = require('express');
 const { google } = require('googleapis');
 const router = express.Router();
+const session = require('../utils/session');
+const oauthState = require('../utils/oauthState');
+const googleIdentity = require('../utils/googleIdentity');
+const { requireSession, validateUserId } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
 const oauth2Client = new google.auth.OAuth2(
   process.env.GOOGLE_CLIENT_ID,
   process.env.GOOGLE_CLIENT_SECRET,
@@ -10,49 +15,105 @@ const oauth2Client = new google.auth.OAuth2(
 const SCOPES = [
   'https://www.googleapis.com/auth/gmail.readonly',
   'https://www.googleapis.com/auth/gmail.send',
+  'https://www.googleapis.com/auth/gmail.modify', // apply auto-triage labels
   'https://www.googleapis.com/auth/userinfo.email',
-  'profile'
+  'profile',
+  'openid'
 ];
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:4200';
 
-router.get('/login', (req, res) => {
-  const url = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: SCOPES,
-    prompt: 'consent'
-  });
-  res.json({ url });
+router.get('/login', rateLimit('auth'), async (req, res) => {
+  try {
+    const state = await oauthState.createState();
+    oauthState.setLoginCookie(res, state);
+    const url = oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: SCOPES,
+      prompt: 'consent',
+      state
+    });
+    res.json({ url });
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Failed to start login',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
 });
 
-router.get('/google/callback', async (req, res) => {
+router.get('/google/callback', rateLimit('auth'), async (req, res) => {
   const code = req.query.code;
-  const state = req.query.state; // userId passed via state parameter
+  const state = req.query.state; // signed single-use nonce created by /login or /re-auth
   if (!code) return res.status(400).send('Missing code');
+  if (!state) return res.status(400).send('Missing state');
+  
+  let pending;
+  try {
+    pending = await oauthState.consumeState(state, req);
+    oauthState.clearLoginCookie(res);
+  } catch (err) {
+    return res.status(400).send(err.message);
+  }
   
   try {
     const { tokens } = await oauth2Client.getToken(code);
     const db = require('../utils/db');
     
-    if (state) {
-      const user = await db.users.findById(state, true);
-      if (user) {
-        await db.users.updateTokens(state, tokens);
-        const redirectUrl = `${FRONTEND_URL}/inbox?userId=${state}&updated=true`;
-        return res.redirect(redirectUrl);
-      } else {
+    if (pending.userId) {
+      const user = await db.users.findById(pending.userId, true);
+      if (!user) {
         return res.status(404).send('User not found');
       }
-    } else {
-      const { nanoid } = require('nanoid');
-      const id = nanoid();
       
-      await db.users.create({
-        id,
-        tokens,
-        createdAt: new Date().toISOString()
+      // Refuse to attach a different Google account's tokens to this user
+      const identity = await googleIdentity.verifyIdToken(tokens.id_token);
+      const linkedSub = user.googleSub || googleIdentity.decodeIdToken(user.tokens.id_token)?.sub;
+      if (linkedSub && linkedSub !== identity.sub) {
+        return res.status(403).send('Google account does not match the account linked to this user');
+      }
+      
+      await db.users.updateTokens(pending.userId, tokens);
+      await db.users.updateIdentity(pending.userId, {
+        googleSub: identity.sub,
+        email: identity.email,
+        displayName: identity.name
       });
+      const redirectUrl = `${FRONTEND_URL}/inbox?userId=${pending.userId}&updated=true`;
+      return res.redirect(redirectUrl);
+    } else {
+      // Reuse the existing user for this Google account instead of creating a duplicate
+      const identity = await googleIdentity.verifyIdToken(tokens.id_token);
+      const existingUser = await db.users.findByGoogleSub(identity.sub, true);
+      let id;
+      
+      if (existingUser) {
+        id = existingUser.id;
+        // Google only returns a refresh_token on consent; keep the stored one otherwise
+        await db.users.updateTokens(id, {
+          ...tokens,
+          refresh_token: tokens.refresh_token || existingUser.tokens.refresh_token
+        });
+        await db.users.updateIdentity(id, {
+          googleSub: identity.sub,
+          email: identity.email,
+          displayName: identity.name
+        });
+      } else {
+        const { nanoid } = require('nanoid');
+        id = nanoid();
+        
+        await db.users.create({
+          id,
+          tokens,
+          googleSub: identity.sub,
+          email: identity.email,
+          displayName: identity.name,
+          createdAt: new Date().toISOString()
+        });
+      }
 
+      session.setSessionCookie(res, await session.createSession(id, req));
       const redirectUrl = `${FRONTEND_URL}/inbox?userId=${id}`;
       return res.redirect(redirectUrl);
     }
@@ -66,18 +127,67 @@ router.get('/google/callback', async (req, res) => {
   }
 });
 
-router.get('/re-auth/:userId', (req, res) => {
-  const { userId } = req.params;
-  const url = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: SCOPES,
-    prompt: 'consent',
-    state: userId
-  });
-  res.json({ url, message: 'Complete OAuth flow to update permissions for existing user' });
+router.get('/session', requireSession, (req, res) => {
+  res.json({ userId: req.session.userId, expiresAt: req.session.expiresAt });
+});
+
+router.post('/refresh', requireSession, async (req, res) => {
+  try {
+    // Rotate the session: revoke the current one and issue a fresh one with a new expiry
+    await session.revokeSession(req.session.id);
+    const newSession = await session.createSession(req.session.userId, req);
+    session.setSessionCookie(res, newSession);
+
+    res.json({
+      userId: newSession.userId,
+      expiresAt: newSession.expiresAt,
+      // Only hand the raw token back to clients that already use Bearer auth
+      ...(req.session.source === 'bearer' && { token: newSession.token })
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Failed to refresh session',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    const activeSession = await session.authenticateRequest(req);
+    if (activeSession) {
+      await session.revokeSession(activeSession.id);
+    }
+    session.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Failed to log out',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.get('/re-auth/:userId', validateUserId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const state = await oauthState.createState({ userId, sessionId: req.session.id });
+    const url = oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: SCOPES,
+      prompt: 'consent',
+      state
+    });
+    res.json({ url, message: 'Complete OAuth flow to update permissions for existing user' });
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Failed to start re-authentication',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
 });
 
-router.get('/profile/:userId', async (req, res) => {
+router.get('/profile/:userId', validateUserId, async (req, res) => {
   try {
     const { userId } = req.params;
     const gmailService = require('../services/gmailService');
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/db');
+const taxonomyService = require('../services/taxonomyService');
+const { requireSession, validateUserId } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+const MAX_EXAMPLES = 10;
+
+/**
+ * Validate a category payload
+ * @param {object} body - Request body
+ * @param {boolean} partial - True for updates (all fields optional)
+ * @returns {{ category: object, error: string|null }}
+ */
+function validateCategoryInput(body, partial = false) {
+  const { name, description, examples, defaultAction } = body || {};
+  const category = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    category.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    category.description = description ? description.trim() : null;
+  }
+
+  if (examples !== undefined) {
+    if (!Array.isArray(examples) || examples.length > MAX_EXAMPLES || examples.some(e => typeof e !== 'string')) {
+      return { error: `examples must be an array of up to ${MAX_EXAMPLES} strings` };
+    }
+    category.examples = examples.map(e => e.trim()).filter(Boolean);
+  }
+
+  if (defaultAction !== undefined) {
+    if (defaultAction !== null && (typeof defaultAction !== 'string' || defaultAction.length > 200)) {
+      return { error: 'defaultAction must be a string (max 200 characters)' };
+    }
+    category.defaultAction = defaultAction ? defaultAction.trim() : null;
+  }
+
+  return { category, error: null };
+}
+
+function sendError(res, err, fallbackMessage) {
+  const statusCode = err.code === 'ER_DUP_ENTRY' ? 409 : 500;
+  res.status(statusCode).json({
+    error: err.code === 'ER_DUP_ENTRY' ? 'A category with this name already exists' : (err.message || fallbackMessage),
+    details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+  });
+}
+
+router.get('/:userId', validateUserId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const categories = await db.categories.listByUser(userId);
+    const { categories: effective, isDefault } = await taxonomyService.getTaxonomy(userId);
+
+    // effective is what the classifier actually uses (defaults, or the user's categories plus "Other")
+    res.json({ categories, effective, isDefault });
+  } catch (err) {
+    sendError(res, err, 'Failed to list categories');
+  }
+});
+
+router.post('/:userId', validateUserId, async (req, res) => {
+  try {
+    const { category, error } = validateCategoryInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await db.categories.create(req.params.userId, category);
+    res.status(201).json({ success: true, category: created });
+  } catch (err) {
+    sendError(res, err, 'Failed to create category');
+  }
+});
+
+router.put('/:userId/:categoryId', validateUserId, async (req, res) => {
+  try {
+    const { userId, categoryId } = req.params;
+    const { category, error } = validateCategoryInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await db.categories.findById(userId, categoryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const updated = await db.categories.update(userId, categoryId, category);
+    res.json({ success: true, category: updated });
+  } catch (err) {
+    sendError(res, err, 'Failed to update category');
+  }
+});
+
+router.delete('/:userId/:categoryId', validateUserId, async (req, res) => {
+  try {
+    const { userId, categoryId } = req.params;
+    const deleted = await db.categories.delete(userId, categoryId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete category');
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const gmailService = require('../services/gmailService');
+const syncService = require('../services/syncService');
+const watchService = require('../services/watchService');
+const autoTriageWorker = require('../services/autoTriageWorker');
+const draftService = require('../services/draftService');
+const templateService = require('../services/templateService');
+const scheduledSendService = require('../services/scheduledSendService');
+const attachmentService = require('../services/attachmentService');
+const auditService = require('../services/auditService');
 const emailController = require('../controllers/emailController');
-const { validateUserId, validateEmailOwnership } = require('../middleware/userValidation');
+const db = require('../utils/db');
+const { requireSession, validateUserId, validateEmailOwnership } = require('../middleware/userValidation');
+const { rateLimit, chargeRateLimit } = require('../middleware/rateLimit');
 
-router.get('/list/:userId', validateUserId, async (req, res) => {
+// Every Gmail route is scoped to the authenticated session
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+// How POST /reply uses a template: filled in as-is, or lightly adapted by the model
+const TEMPLATE_MODES = ['fill', 'adapt'];
+
+/**
+ * Reply mode, recipient overrides, HTML body and attachments from a send/draft request body
+ */
+function replyOptions(body) {
+  const { mode, to, cc, bcc, html, attachments, forwardAttachments } = body || {};
+  return { mode, to, cc, bcc, html, attachments, forwardAttachments };
+}
+
+router.get('/list/:userId', rateLimit('list'), validateUserId, async (req, res) => {
   try {
     const { userId } = req.params;
-    const messages = await gmailService.listMessagesForUser(userId);
-    res.json({ messages });
+    const { q, labelIds, after, before, pageSize, pageToken, source } = req.query;
+
+    // source=index serves from the local index kept current by POST /gmail/sync (no Gmail calls)
+    const { messages, ...page } = source === 'index'
+      ? await syncService.listIndexedMessages(userId, { q, after, before, pageSize, pageToken })
+      : await gmailService.listMessagesForUser(userId, { q, labelIds, after, before, pageSize, pageToken });
+
+    // Attach any stored classification so the UI can show categories without re-classifying
+    const classifications = await db.classifications.findByMessageIds(userId, messages.map(m => m.id));
+    res.json({
+      messages: messages.map(m => ({ ...m, classification: classifications.get(m.id) || null })),
+      ...page
+    });
   } catch (err) {
     const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.message?.startsWith('Invalid') ? 400 :
                       err.message?.includes('Unable to decrypt') ? 401 : 500;
     res.status(statusCode).json({ 
       error: err.message,
@@ -19,23 +56,128 @@ router.get('/list/:userId', validateUserId, async (req, res) => {
   }
 });
 
+router.post('/sync/:userId', rateLimit('list'), validateUserId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const full = req.query.full === 'true' || req.body?.full === true;
+    const result = await syncService.syncMailbox(userId, { full });
+
+    res.json({
+      success: true,
+      mode: result.mode,
+      historyId: result.historyId,
+      added: result.added.length,
+      removed: result.removed.length,
+      updated: result.updated.length,
+      ...(result.fallback && { fallback: result.fallback })
+    });
+  } catch (err) {
+    const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.code === 403 ? 403 :
+                      err.code === 429 ? 429 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to sync mailbox.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.post('/watch/:userId', validateUserId, async (req, res) => {
+  try {
+    const watch = await watchService.startWatch(req.params.userId);
+    res.json({ success: true, historyId: watch.historyId, expiration: watch.expiration });
+  } catch (err) {
+    const statusCode = err.message?.includes('GMAIL_PUBSUB_TOPIC') ? 503 :
+                      err.message?.includes('not found') ? 404 : 
+                      err.code === 403 ? 403 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to register Gmail watch.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.delete('/watch/:userId', validateUserId, async (req, res) => {
+  try {
+    await watchService.stopWatch(req.params.userId);
+    res.json({ success: true });
+  } catch (err) {
+    const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to stop Gmail watch.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.get('/triage/status/:userId', validateUserId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const settings = await db.userSettings.get(userId);
+    const runs = await db.triageRuns.listRecent(userId, 10);
+
+    res.json({
+      workerEnabled: autoTriageWorker.WORKER_ENABLED,
+      userEnabled: Boolean(settings?.autoTriageEnabled),
+      categories: settings?.autoTriageCategories || null,
+      lastRun: runs[0] || null,
+      recentRuns: runs
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      error: err.message || 'Failed to load triage status.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.post('/triage/run/:userId', rateLimit('ai'), validateUserId, async (req, res) => {
+  try {
+    const run = await autoTriageWorker.runForUser(req.params.userId, 'manual');
+    res.json({ success: run.status !== 'error', run });
+  } catch (err) {
+    res.status(500).json({ 
+      error: err.message || 'Failed to run auto-triage.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
 router.get('/fetch/:userId/:messageId', validateEmailOwnership, async (req, res) => {
   try {
     const { userId, messageId } = req.params;
+    const refresh = req.query.refresh === 'true';
+    // Only a model call counts against the 'ai' limit; stored classifications are served freely
+    if ((refresh || !await db.classifications.findByMessage(userId, messageId)) && !await chargeRateLimit('ai', req, res)) {
+      return;
+    }
     const message = await gmailService.getMessage(userId, messageId);
-    const result = await emailController.classifyAndSuggest(userId, message);
+    // Served from the classifications table unless ?refresh=true
+    // result.status tells a real classification ('ok') apart from 'parse_failed' / 'provider_error'
+    const result = await emailController.getOrClassify(userId, message, { refresh });
+    // The reply template linked to the category, if the user has one
+    const suggestedTemplate = await templateService.suggestForCategory(userId, result.category);
     // Include the message body and snippet in the response for proper display
     res.json({ 
-      result,
+      result: { ...result, suggestedTemplate },
       message: {
         id: message.id,
         subject: message.subject,
         snippet: message.snippet,
-        body: message.body
+        body: message.body,
+        content: message.content,
+        quoted: message.quoted,
+        signature: message.signature,
+        links: message.links,
+        attachments: message.attachments
       }
     });
   } catch (err) {
-    const statusCode = err.message?.includes('not found') ? 404 : 
+    const statusCode = err.code === 'LLM_BUDGET_EXCEEDED' ? 402 :
+                      err.message?.includes('not found') ? 404 : 
                       err.message?.includes('Permission') ? 403 :
                       err.message?.includes('Unable to decrypt') ? 401 : 500;
     res.status(statusCode).json({ 
@@ -45,37 +187,88 @@ router.get('/fetch/:userId/:messageId', validateEmailOwnership, async (req, res)
   }
 });
 
+router.get('/attachments/:userId/:messageId/:attachmentId', validateEmailOwnership, async (req, res) => {
+  try {
+    const { userId, messageId, attachmentId } = req.params;
+    const attachment = await attachmentService.getAttachment(userId, messageId, attachmentId);
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(attachment.content);
+  } catch (err) {
+    const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.message?.includes('Permission') ? 403 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to download attachment.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
 router.post('/reply/:userId/:messageId', validateEmailOwnership, async (req, res) => {
   try {
     const { userId, messageId } = req.params;
-    const gmailService = require('../services/gmailService');
-    const openaiService = require('../services/openaiService');
 
-    const message = await gmailService.getMessage(userId, messageId);
-    const subject = message.subject || '';
-    const emailContent = message.body || message.snippet || '';
-
-    const prompt = `
-You are an AI email assistant. Read the email below and draft a short, polite professional reply.
+    const { tone, length, language, intent, instructions, templateId, templateMode = 'fill' } = req.body || {};
+    if (!TEMPLATE_MODES.includes(templateMode)) {
+      return res.status(400).json({ error: `Invalid templateMode: must be one of ${TEMPLATE_MODES.join(', ')}` });
+    }
+    // A template filled in as-is needs no model call, so it does not count against the 'ai' limit
+    const usesModel = templateId === undefined || templateId === null || templateMode !== 'fill';
+    if (usesModel && !await chargeRateLimit('ai', req, res)) {
+      return;
+    }
 
-Email Subject: ${subject}
-Email Content: ${emailContent}
+    const message = await gmailService.getMessage(userId, messageId);
+    const replyOptionsInput = { tone, length, language, intent, instructions };
+    let replyDraft, model = null, options = null, template = null;
 
-Reply should be concise, professional, and contextually appropriate.
-Output only the email reply text.`;
+    if (templateId !== undefined && templateId !== null) {
+      // "fill" uses the template as-is; "adapt" lets the model adjust it to the email
+      const rendered = await templateService.renderForMessage(userId, templateId, message);
+      template = { ...rendered.template, mode: templateMode };
+      if (templateMode === 'fill') {
+        replyDraft = rendered.text;
+        await auditService.recordReply(userId, messageId, { text: replyDraft, template: rendered.template, source: 'template' });
+      } else {
+        ({ replyDraft, model, options } = await emailController.generateReply(userId, message, replyOptionsInput, {
+          template: rendered.text
+        }));
+      }
+    } else {
+      ({ replyDraft, model, options } = await emailController.generateReply(userId, message, replyOptionsInput));
+    }
 
-    const aiReply = await openaiService.classify(prompt);
+    // Save straight to Gmail drafts when asked, or when the user's default reply mode is "draft"
+    let saveAsDraft = req.body?.saveAsDraft;
+    if (saveAsDraft === undefined) {
+      const settings = await db.userSettings.get(userId);
+      saveAsDraft = settings?.defaultReplyMode === 'draft';
+    }
+    const draft = saveAsDraft ? await draftService.createDraft(userId, messageId, replyDraft, replyOptions(req.body)) : null;
 
     res.json({
       success: true,
-      replyDraft: aiReply.trim(),
-      subject,
-      messageId
+      replyDraft,
+      subject: message.subject || '',
+      messageId,
+      model,
+      options,
+      template,
+      draft
     });
   } catch (err) {
-    const statusCode = err.message?.includes('not found') ? 404 : 
+    const statusCode = err.code === 'LLM_BUDGET_EXCEEDED' ? 402 :
+                      err.code === 'LLM_PROVIDER_ERROR' ? 502 :
+                      err.message?.includes('not found') ? 404 : 
                       err.message?.includes('Permission') ? 403 :
                       err.message?.includes('required') ? 400 :
+                      err.message?.startsWith('Invalid') ? 400 :
                       err.message?.includes('Unable to decrypt') ? 401 : 500;
     res.status(statusCode).json({ 
       error: err.message || 'Failed to generate AI reply.',
@@ -84,7 +277,134 @@ Output only the email reply text.`;
   }
 });
 
-router.post('/send/:userId/:messageId', validateEmailOwnership, async (req, res) => {
+const SCHEDULED_STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+function sendScheduledError(res, err, fallbackMessage) {
+  const statusCode = err.message?.includes('not found') ? 404 :
+                    err.message?.includes('already') ? 409 :
+                    err.message?.startsWith('Invalid') ? 400 : 500;
+  res.status(statusCode).json({
+    error: err.message || fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+  });
+}
+
+// Defined before /send/:userId/:messageId, which would otherwise match it
+router.post('/send/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id)) {
+      return res.status(404).json({ error: 'Scheduled send not found' });
+    }
+
+    // Pending sends are looked up within the session user's own jobs
+    const scheduled = await scheduledSendService.cancel(req.session.userId, id);
+    res.json({ success: true, message: 'Send cancelled.', scheduled });
+  } catch (err) {
+    sendScheduledError(res, err, 'Failed to cancel send');
+  }
+});
+
+router.post('/send/:userId/:messageId', rateLimit('send'), validateEmailOwnership, async (req, res) => {
+  try {
+    const { userId, messageId } = req.params;
+    const { replyText, sendAt } = req.body;
+
+    if (!replyText) {
+      return res.status(400).json({ error: 'replyText is required in request body' });
+    }
+
+    // With sendAt the reply is queued and delivered later by the scheduled send worker
+    if (sendAt !== undefined) {
+      const scheduled = await scheduledSendService.schedule(userId, messageId, replyText, sendAt, replyOptions(req.body));
+      return res.status(202).json({ success: true, message: 'Reply scheduled.', scheduled });
+    }
+
+    // Hold the reply for the user's undo-send window; POST /send/:id/cancel stops it
+    const undoSeconds = scheduledSendService.undoSendSeconds(await db.userSettings.get(userId));
+    if (undoSeconds > 0) {
+      const pending = await scheduledSendService.holdForUndo(userId, messageId, replyText, undoSeconds, replyOptions(req.body));
+      return res.status(202).json({
+        success: true,
+        message: `Reply will be sent in ${undoSeconds} seconds.`,
+        pendingSendId: pending.id,
+        sendAt: pending.sendAt,
+        undoSeconds
+      });
+    }
+
+    const { attachments, ...recipients } = await gmailService.sendReply(userId, messageId, replyText, replyOptions(req.body));
+    await auditService.recordSend(userId, messageId, { text: replyText, recipients, attachments, source: 'send' });
+
+    res.json({ success: true, message: 'Reply sent successfully!', recipients, attachments });
+  } catch (err) {
+    const statusCode = err.message?.includes('disabled') ? 503 :
+                      err.message?.includes('not found') ? 404 : 
+                      err.message?.includes('Permission') ? 403 :
+                      err.message?.includes('required') ? 400 :
+                      err.message?.startsWith('Invalid') ? 400 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to send reply.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.get('/scheduled/:userId', validateUserId, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !SCHEDULED_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: must be one of ${SCHEDULED_STATUSES.join(', ')}` });
+    }
+
+    const scheduled = await scheduledSendService.listScheduled(req.params.userId, { status });
+    res.json({ scheduled });
+  } catch (err) {
+    sendScheduledError(res, err, 'Failed to list scheduled sends');
+  }
+});
+
+router.put('/scheduled/:userId/:jobId', validateUserId, async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+    const { sendAt } = req.body || {};
+    if (sendAt === undefined) {
+      return res.status(400).json({ error: 'sendAt is required in request body' });
+    }
+
+    const scheduled = await scheduledSendService.reschedule(userId, jobId, sendAt);
+    res.json({ success: true, scheduled });
+  } catch (err) {
+    sendScheduledError(res, err, 'Failed to reschedule send');
+  }
+});
+
+router.delete('/scheduled/:userId/:jobId', validateUserId, async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+    const scheduled = await scheduledSendService.cancel(userId, jobId);
+    res.json({ success: true, scheduled });
+  } catch (err) {
+    sendScheduledError(res, err, 'Failed to cancel scheduled send');
+  }
+});
+
+router.get('/drafts/:userId', validateUserId, async (req, res) => {
+  try {
+    const drafts = await draftService.listDrafts(req.params.userId);
+    res.json({ drafts });
+  } catch (err) {
+    const statusCode = err.message?.includes('Permission') ? 403 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to list drafts.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.post('/drafts/:userId/:messageId', validateEmailOwnership, async (req, res) => {
   try {
     const { userId, messageId } = req.params;
     const { replyText } = req.body;
@@ -93,21 +413,76 @@ router.post('/send/:userId/:messageId', validateEmailOwnership, async (req, res)
       return res.status(400).json({ error: 'replyText is required in request body' });
     }
 
-    const gmailService = require('../services/gmailService');
-    await gmailService.sendReply(userId, messageId, replyText);
+    const draft = await draftService.createDraft(userId, messageId, replyText, replyOptions(req.body));
+    res.status(201).json({ success: true, draft });
+  } catch (err) {
+    const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.message?.includes('Permission') ? 403 :
+                      err.message?.includes('required') ? 400 :
+                      err.message?.startsWith('Invalid') ? 400 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to save draft.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.put('/drafts/:userId/:draftId', validateUserId, async (req, res) => {
+  try {
+    const { userId, draftId } = req.params;
+    const { replyText } = req.body;
+
+    if (!replyText) {
+      return res.status(400).json({ error: 'replyText is required in request body' });
+    }
 
-    res.json({ success: true, message: 'Reply sent successfully!' });
+    const { attachments, ...recipients } = await draftService.updateDraft(userId, draftId, replyText, replyOptions(req.body));
+    res.json({ success: true, draftId, recipients, attachments });
   } catch (err) {
     const statusCode = err.message?.includes('not found') ? 404 : 
                       err.message?.includes('Permission') ? 403 :
                       err.message?.includes('required') ? 400 :
+                      err.message?.startsWith('Invalid') ? 400 :
                       err.message?.includes('Unable to decrypt') ? 401 : 500;
     res.status(statusCode).json({ 
-      error: err.message || 'Failed to send reply.',
+      error: err.message || 'Failed to update draft.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.post('/drafts/:userId/:draftId/send', rateLimit('send'), validateUserId, async (req, res) => {
+  try {
+    const { userId, draftId } = req.params;
+    const sent = await draftService.sendDraft(userId, draftId);
+    res.json({ success: true, message: 'Draft sent successfully!', ...sent });
+  } catch (err) {
+    const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.message?.includes('Permission') ? 403 :
+                      err.message?.includes('Invalid request') ? 400 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to send draft.',
       details: process.env.NODE_ENV === 'development' ? err.stack : undefined
     });
   }
 });
 
+router.delete('/drafts/:userId/:draftId', validateUserId, async (req, res) => {
+  try {
+    const { userId, draftId } = req.params;
+    await draftService.deleteDraft(userId, draftId);
+    res.json({ success: true, message: 'Draft deleted' });
+  } catch (err) {
+    const statusCode = err.message?.includes('not found') ? 404 : 
+                      err.message?.includes('Permission') ? 403 :
+                      err.message?.includes('Unable to decrypt') ? 401 : 500;
+    res.status(statusCode).json({ 
+      error: err.message || 'Failed to delete draft.',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * Gmail push notification webhook (Cloud Pub/Sub push subscription)
+ * Not session-authenticated: requests are verified with either a Pub/Sub OIDC token
+ * (GMAIL_PUSH_AUDIENCE + GMAIL_PUSH_SERVICE_ACCOUNT) or a shared secret in the query string
+ * (GMAIL_PUSH_TOKEN). The service account is required with OIDC: anyone can mint a Google-signed
+ * token for any audience from their own project, so the audience alone proves nothing.
+ */
+
+const express = require('express');
+const { google } = require('googleapis');
+const router = express.Router();
+const db = require('../utils/db');
+const pushQueue = require('../services/pushQueue');
+const { safeEqual } = require('../utils/session');
+
+const PUSH_AUDIENCE = process.env.GMAIL_PUSH_AUDIENCE;
+const PUSH_SERVICE_ACCOUNT = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+const PUSH_TOKEN = process.env.GMAIL_PUSH_TOKEN;
+
+const oidcVerifier = new google.auth.OAuth2();
+
+if (PUSH_AUDIENCE && !PUSH_SERVICE_ACCOUNT) {
+  console.error('[Gmail Push] GMAIL_PUSH_AUDIENCE is set without GMAIL_PUSH_SERVICE_ACCOUNT; push notifications will be rejected');
+}
+
+/**
+ * Middleware to verify that a push request really comes from our Pub/Sub subscription
+ */
+async function verifyPushRequest(req, res, next) {
+  try {
+    if (PUSH_AUDIENCE) {
+      if (!PUSH_SERVICE_ACCOUNT) {
+        return res.status(503).json({ error: 'Push endpoint is not configured. Set GMAIL_PUSH_SERVICE_ACCOUNT with GMAIL_PUSH_AUDIENCE.' });
+      }
+
+      const authHeader = req.headers.authorization || '';
+      if (!authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Missing push authentication token' });
+      }
+
+      const ticket = await oidcVerifier.verifyIdToken({
+        idToken: authHeader.slice(7),
+        audience: PUSH_AUDIENCE
+      });
+      const payload = ticket.getPayload();
+      if (payload.email !== PUSH_SERVICE_ACCOUNT || !payload.email_verified) {
+        return res.status(403).json({ error: 'Push token was not issued for the expected service account' });
+      }
+      return next();
+    }
+
+    if (PUSH_TOKEN) {
+      if (!safeEqual(String(req.query.token || ''), PUSH_TOKEN)) {
+        return res.status(403).json({ error: 'Invalid push token' });
+      }
+      return next();
+    }
+
+    return res.status(503).json({ error: 'Push endpoint is not configured. Set GMAIL_PUSH_AUDIENCE or GMAIL_PUSH_TOKEN.' });
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid push authentication token' });
+  }
+}
+
+/**
+ * Decode the Pub/Sub envelope: { message: { data: base64(JSON{ emailAddress, historyId }) } }
+ */
+function decodePushMessage(body) {
+  const data = body?.message?.data;
+  if (!data) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+    if (!decoded.emailAddress || !decoded.historyId) return null;
+    return { emailAddress: String(decoded.emailAddress), historyId: String(decoded.historyId) };
+  } catch (error) {
+    return null;
+  }
+}
+
+router.post('/', verifyPushRequest, async (req, res) => {
+  const notification = decodePushMessage(req.body);
+  if (!notification) {
+    return res.status(400).json({ error: 'Invalid Pub/Sub push payload' });
+  }
+
+  try {
+    const user = await db.users.findByEmail(notification.emailAddress, true);
+
+    // Acknowledge unknown mailboxes too, otherwise Pub/Sub keeps redelivering them
+    if (user) {
+      pushQueue.enqueue(user.id, notification.historyId);
+    }
+    res.status(204).end();
+  } catch (err) {
+    // Non-2xx makes Pub/Sub retry later, which is what we want for transient failures
+    console.error('[Gmail Push] Error:', err.message);
+    res.status(500).json({ error: 'Failed to process push notification' });
+  }
+});
+
+module.exports = router;
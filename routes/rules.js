@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/db');
+const gmailService = require('../services/gmailService');
+const ruleEngine = require('../services/ruleEngine');
+const autoTriageWorker = require('../services/autoTriageWorker');
+const { validateRuleInput } = require('../utils/ruleSchema');
+const { requireSession, validateUserId, validateEmailOwnership } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+const MAX_EXECUTIONS = 200;
+
+/**
+ * Templates referenced by the rule's actions that the user does not own
+ */
+async function findMissingTemplates(userId, actions = []) {
+  const missing = [];
+  for (const action of actions) {
+    if (action.templateId && !await db.replyTemplates.findById(userId, action.templateId)) {
+      missing.push(action.templateId);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Rules only run from the auto-triage worker, so they do nothing until it is on for the user
+ */
+async function rulesStatus(userId) {
+  if (await autoTriageWorker.isEnabledForUser(userId)) {
+    return { active: true };
+  }
+  return {
+    active: false,
+    reason: autoTriageWorker.WORKER_ENABLED
+      ? 'Rules run on mail classified by auto-triage. Set autoTriageEnabled: true in your settings to let them act.'
+      : 'Rules run on mail classified by auto-triage, which is turned off on this server (AUTO_TRIAGE_ENABLED).'
+  };
+}
+
+function sendError(res, err, fallbackMessage) {
+  const statusCode = err.code === 'LLM_BUDGET_EXCEEDED' ? 402 :
+                    err.message?.includes('not found') ? 404 :
+                    err.message?.includes('Permission') ? 403 :
+                    err.message?.includes('Unable to decrypt') ? 401 : 500;
+  res.status(statusCode).json({
+    error: err.message || fallbackMessage,
+    details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+  });
+}
+
+router.get('/:userId', validateUserId, async (req, res) => {
+  try {
+    const rules = await db.replyRules.listByUser(req.params.userId);
+    res.json({
+      rules,
+      // Whether rules act on incoming mail at all (they need auto-triage)
+      status: await rulesStatus(req.params.userId),
+      // Safety gates applied to every "send" action
+      autoSend: {
+        minConfidence: ruleEngine.AUTO_SEND_MIN_CONFIDENCE,
+        dailyCapPerSender: ruleEngine.AUTO_SEND_DAILY_CAP
+      }
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to list rules');
+  }
+});
+
+// Log of what rules did (or would have done, in dry-run mode), newest first
+router.get('/:userId/executions', validateUserId, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_EXECUTIONS);
+    const executions = await db.ruleExecutions.listRecent(req.params.userId, limit);
+    res.json({ executions });
+  } catch (err) {
+    sendError(res, err, 'Failed to list rule executions');
+  }
+});
+
+// Dry-run the user's rules against a message; nothing is changed or recorded.
+// Uses the message's stored classification only (no model call), so the message must have been classified already.
+router.post('/:userId/test/:messageId', validateEmailOwnership, async (req, res) => {
+  try {
+    const { userId, messageId } = req.params;
+    const classification = await db.classifications.findByMessage(userId, messageId);
+    if (!classification) {
+      return res.status(409).json({ error: 'This message has not been classified yet. Open it with GET /gmail/fetch first.' });
+    }
+    const message = await gmailService.getMessage(userId, messageId);
+    const result = await ruleEngine.runRules(userId, message, classification, { dryRun: true, record: false });
+
+    res.json({
+      classification: { status: classification.status, category: classification.category, confidence: classification.confidence },
+      ...result
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to test rules');
+  }
+});
+
+router.post('/:userId', validateUserId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { rule, error } = validateRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const missing = await findMissingTemplates(userId, rule.actions);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Unknown template ID(s): ${missing.join(', ')}` });
+    }
+
+    const created = await db.replyRules.create(userId, rule);
+    res.status(201).json({ success: true, rule: created, status: await rulesStatus(userId) });
+  } catch (err) {
+    sendError(res, err, 'Failed to create rule');
+  }
+});
+
+router.put('/:userId/:ruleId', validateUserId, async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+    const { rule, error } = validateRuleInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await db.replyRules.findById(userId, ruleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const missing = await findMissingTemplates(userId, rule.actions);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Unknown template ID(s): ${missing.join(', ')}` });
+    }
+
+    const updated = await db.replyRules.update(userId, ruleId, rule);
+    res.json({ success: true, rule: updated });
+  } catch (err) {
+    sendError(res, err, 'Failed to update rule');
+  }
+});
+
+router.delete('/:userId/:ruleId', validateUserId, async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+    const deleted = await db.replyRules.delete(userId, ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete rule');
+  }
+});
+
+module.exports = router;
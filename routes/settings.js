@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/db');
+const llm = require('../services/llm');
+const llmConfig = require('../services/llm/config');
+const pricing = require('../services/llm/pricing');
+const scheduledSendService = require('../services/scheduledSendService');
+const { requireSession, validateUserId } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+/**
+ * Validators for each writable setting
+ * Each returns an error message, or null when the value is acceptable (null always resets to the default)
+ */
+const validators = {
+  llmProvider: (value) => value === null || llm.listProviders().includes(value)
+    ? null
+    : `llmProvider must be one of: ${llm.listProviders().join(', ')}`,
+  llmModel: (value) => value === null || (typeof value === 'string' && value.trim() && value.length <= 100)
+    ? null
+    : 'llmModel must be a non-empty string (max 100 characters)',
+  autoTriageEnabled: (value) => typeof value === 'boolean'
+    ? null
+    : 'autoTriageEnabled must be true or false',
+  autoTriageCategories: (value) => value === null || (Array.isArray(value) && value.every(c => typeof c === 'string' && c.trim()))
+    ? null
+    : 'autoTriageCategories must be an array of category names, or null for all categories',
+  defaultReplyMode: (value) => value === null || ['send', 'draft'].includes(value)
+    ? null
+    : 'defaultReplyMode must be "send" or "draft"',
+  undoSendSeconds: (value) => value === null || value === 0 ||
+      (Number.isInteger(value) && value >= scheduledSendService.MIN_UNDO_SEND_SECONDS && value <= scheduledSendService.MAX_UNDO_SEND_SECONDS)
+    ? null
+    : `undoSendSeconds must be 0 (off) or a whole number of seconds from ${scheduledSendService.MIN_UNDO_SEND_SECONDS} to ${scheduledSendService.MAX_UNDO_SEND_SECONDS}`
+};
+
+/**
+ * Settings with env defaults applied, as returned to clients
+ */
+function withDefaults(settings) {
+  return {
+    llmProvider: settings?.llmProvider || null,
+    llmModel: settings?.llmModel || null,
+    autoTriageEnabled: Boolean(settings?.autoTriageEnabled),
+    autoTriageCategories: settings?.autoTriageCategories || null,
+    defaultReplyMode: settings?.defaultReplyMode || 'send',
+    undoSendSeconds: scheduledSendService.undoSendSeconds(settings),
+    defaults: {
+      llmProvider: llmConfig.DEFAULT_PROVIDER,
+      classifyModel: llmConfig.tasks.classify.model,
+      generateModel: llmConfig.tasks.generate.model,
+      undoSendSeconds: scheduledSendService.DEFAULT_UNDO_SEND_SECONDS
+    },
+    availableProviders: llm.listProviders()
+  };
+}
+
+router.get('/:userId', validateUserId, async (req, res) => {
+  try {
+    const settings = await db.userSettings.get(req.params.userId);
+    res.json({ settings: withDefaults(settings) });
+  } catch (err) {
+    res.status(500).json({
+      error: err.message || 'Failed to load settings',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+router.put('/:userId', validateUserId, async (req, res) => {
+  try {
+    const updates = {};
+    for (const [field, validate] of Object.entries(validators)) {
+      if (req.body[field] === undefined) continue;
+      const error = validate(req.body[field]);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: `No valid settings provided. Allowed: ${Object.keys(validators).join(', ')}` });
+    }
+
+    // Paid providers only take models with a known price, so every call counts against the usage budget
+    if (updates.llmProvider !== undefined || updates.llmModel !== undefined) {
+      const current = await db.userSettings.get(req.params.userId);
+      const provider = (updates.llmProvider !== undefined ? updates.llmProvider : current?.llmProvider) || llmConfig.DEFAULT_PROVIDER;
+      const model = updates.llmModel !== undefined ? updates.llmModel : current?.llmModel;
+      if (model && !pricing.isPriced(provider, model)) {
+        return res.status(400).json({
+          error: `llmModel "${model}" is not available for provider "${provider}". Allowed: ${Object.keys(pricing.PRICES).join(', ')}`
+        });
+      }
+    }
+
+    const settings = await db.userSettings.update(req.params.userId, updates);
+    res.json({ success: true, settings: withDefaults(settings) });
+  } catch (err) {
+    res.status(500).json({
+      error: err.message || 'Failed to update settings',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+module.exports = router;
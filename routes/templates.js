@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/db');
+const templateService = require('../services/templateService');
+const { TEMPLATE_VARIABLES, findUnknownVariables } = require('../utils/replyTemplates');
+const { requireSession, validateUserId } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+const MAX_BODY_LENGTH = 10000;
+
+/**
+ * Validate a template payload
+ * @param {object} body - Request body
+ * @param {boolean} partial - True for updates (all fields optional)
+ * @returns {{ template: object, error: string|null }}
+ */
+function validateTemplateInput(body, partial = false) {
+  const { name, body: text, category } = body || {};
+  const template = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    template.name = name.trim();
+  }
+
+  if (text !== undefined || !partial) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_BODY_LENGTH) {
+      return { error: `body is required (max ${MAX_BODY_LENGTH} characters)` };
+    }
+    const unknown = findUnknownVariables(text);
+    if (unknown.length > 0) {
+      return { error: `body uses unknown variables: ${unknown.map(v => `{{${v}}}`).join(', ')}. Supported: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}` };
+    }
+    template.body = text.trim();
+  }
+
+  if (category !== undefined) {
+    if (category !== null && (typeof category !== 'string' || category.trim().length > 100)) {
+      return { error: 'category must be a category name (max 100 characters)' };
+    }
+    template.category = category ? category.trim() : null;
+  }
+
+  return { template, error: null };
+}
+
+/**
+ * Replace the category with the user's spelling of it; null if it is not one of their categories
+ */
+async function resolveCategory(userId, template) {
+  if (!template.category) return template;
+  const category = await templateService.matchCategory(userId, template.category);
+  return category ? { ...template, category } : null;
+}
+
+function sendError(res, err, fallbackMessage) {
+  const duplicate = err.code === 'ER_DUP_ENTRY';
+  const statusCode = duplicate ? 409 : 500;
+  const duplicateMessage = err.message?.includes('idx_user_category')
+    ? 'Another template is already linked to this category'
+    : 'A template with this name already exists';
+  res.status(statusCode).json({
+    error: duplicate ? duplicateMessage : (err.message || fallbackMessage),
+    details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+  });
+}
+
+router.get('/:userId', validateUserId, async (req, res) => {
+  try {
+    const templates = await db.replyTemplates.listByUser(req.params.userId);
+    // variables lists the placeholders templates can use, with a description of each
+    res.json({ templates, variables: TEMPLATE_VARIABLES });
+  } catch (err) {
+    sendError(res, err, 'Failed to list templates');
+  }
+});
+
+router.post('/:userId', validateUserId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { template, error } = validateTemplateInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const resolved = await resolveCategory(userId, template);
+    if (!resolved) {
+      return res.status(400).json({ error: `Unknown category "${template.category}"` });
+    }
+
+    const created = await db.replyTemplates.create(userId, resolved);
+    res.status(201).json({ success: true, template: created });
+  } catch (err) {
+    sendError(res, err, 'Failed to create template');
+  }
+});
+
+router.put('/:userId/:templateId', validateUserId, async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    const { template, error } = validateTemplateInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await db.replyTemplates.findById(userId, templateId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const resolved = await resolveCategory(userId, template);
+    if (!resolved) {
+      return res.status(400).json({ error: `Unknown category "${template.category}"` });
+    }
+
+    const updated = await db.replyTemplates.update(userId, templateId, resolved);
+    res.json({ success: true, template: updated });
+  } catch (err) {
+    sendError(res, err, 'Failed to update template');
+  }
+});
+
+router.delete('/:userId/:templateId', validateUserId, async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    const deleted = await db.replyTemplates.delete(userId, templateId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete template');
+  }
+});
+
+module.exports = router;
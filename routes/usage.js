@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const usageService = require('../services/usageService');
+const { requireSession, validateUserId } = require('../middleware/userValidation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+router.use(requireSession);
+router.use(rateLimit('api', 'user'));
+
+/**
+ * LLM usage and budget for a user, broken down by day and task
+ * Query: from, to - UTC days (YYYY-MM-DD); default the last 30 days
+ */
+router.get('/:userId', validateUserId, async (req, res) => {
+  try {
+    const usage = await usageService.getUsage(req.params.userId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ usage });
+  } catch (err) {
+    const statusCode = err.message?.startsWith('Invalid') ? 400 : 500;
+    res.status(statusCode).json({
+      error: err.message || 'Failed to load usage',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,20 +3,48 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const { ensureDatabase } = require('./utils/initDb');
+const { rateLimit } = require('./middleware/rateLimit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(bodyParser.json());
+// Behind a load balancer or reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For
+// (a number of proxy hops, "true", or Express's subnet names/addresses such as "loopback")
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+// Session cookies are sent cross-origin from the frontend, so CORS must allow credentials
+app.use(cors({
+  origin: process.env.FRONTEND_URL || 'http://localhost:4200',
+  credentials: true,
+  // Let the frontend read rate limit headers
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
+// Replies can carry base64 attachments (up to 25 MB, about 34 MB once encoded)
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '35mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 ensureDatabase().then(() => {
+  require('./services/watchService').startWatchRenewal();
+  require('./services/autoTriageWorker').start();
+  require('./services/scheduledSendService').start();
+  require('./services/auditService').startRetention();
 }).catch(() => {
 });
 
-app.use('/auth', require('./routes/auth'));
-app.use('/gmail', require('./routes/gmail'));
+// Per-IP limits run before authentication; per-user limits are applied inside the routers
+app.use('/auth', rateLimit('api', 'ip'), require('./routes/auth'));
+// Pub/Sub webhook is mounted before the session-scoped Gmail routes, with its own per-IP limit
+app.use('/gmail/push', rateLimit('push', 'ip'), require('./routes/push'));
+app.use('/gmail', rateLimit('api', 'ip'), require('./routes/gmail'));
+app.use('/settings', rateLimit('api', 'ip'), require('./routes/settings'));
+app.use('/categories', rateLimit('api', 'ip'), require('./routes/categories'));
+app.use('/templates', rateLimit('api', 'ip'), require('./routes/templates'));
+app.use('/rules', rateLimit('api', 'ip'), require('./routes/rules'));
+app.use('/audit', rateLimit('api', 'ip'), require('./routes/audit'));
+app.use('/usage', rateLimit('api', 'ip'), require('./routes/usage'));
 
 app.get('/', (req, res) => {
   res.json({ ok: true, message: "Email Action Bot Backend running" });
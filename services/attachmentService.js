@@ -0,0 +1,191 @@
+/**
+ * Attachment service
+ * Downloads message attachments and extracts text from PDF, DOCX, CSV and plain-text files so
+ * that invoices, purchase orders etc. can be classified and answered from their content.
+ */
+
+const gmailService = require('./gmailService');
+
+// Files larger than this are not downloaded for text extraction
+const TEXT_MAX_BYTES = (parseInt(process.env.ATTACHMENT_TEXT_MAX_MB, 10) || 5) * 1024 * 1024;
+// Characters of extracted text kept per attachment
+const TEXT_MAX_CHARS = parseInt(process.env.ATTACHMENT_TEXT_MAX_CHARS, 10) || 4000;
+// Attachments read per message
+const TEXT_MAX_FILES = parseInt(process.env.ATTACHMENT_TEXT_MAX_FILES, 10) || 3;
+// Attachments come from any sender and are parsed without anyone opening the mail (auto-triage),
+// so each extraction gets a time limit, PDFs a page limit and DOCX files (zip archives) a limit on
+// what they unpack to
+const TEXT_TIMEOUT_MS = (parseInt(process.env.ATTACHMENT_TEXT_TIMEOUT_SECONDS, 10) || 10) * 1000;
+const PDF_MAX_PAGES = parseInt(process.env.ATTACHMENT_PDF_MAX_PAGES, 10) || 20;
+const DOCX_MAX_UNCOMPRESSED_BYTES = (parseInt(process.env.ATTACHMENT_DOCX_MAX_UNCOMPRESSED_MB, 10) || 20) * 1024 * 1024;
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Which extractor handles this attachment (null if its text is not extracted)
+ */
+function extractorFor({ mimeType, filename }) {
+  const type = (mimeType || '').toLowerCase();
+  const name = (filename || '').toLowerCase();
+
+  if (type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (type === DOCX_MIME || name.endsWith('.docx')) return 'docx';
+  if (type === 'text/csv' || name.endsWith('.csv')) return 'csv';
+  if (type === 'text/plain' || name.endsWith('.txt')) return 'text';
+  return null;
+}
+
+/**
+ * Total uncompressed size a zip archive declares in its central directory
+ * (Infinity for ZIP64 archives, null when it is not a readable zip; JSZip rejects entries that
+ * unpack to more than they declare)
+ */
+function zipUncompressedSize(buffer) {
+  // End of central directory record: 22 bytes, followed by a comment of up to 64 KB
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= lowest; i--) {
+    if (buffer.readUInt32LE(i) !== 0x06054b50) continue;
+
+    const entries = buffer.readUInt16LE(i + 10);
+    let offset = buffer.readUInt32LE(i + 16);
+    let total = 0;
+    for (let n = 0; n < entries; n++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+      const size = buffer.readUInt32LE(offset + 24);
+      if (size === 0xffffffff) return Infinity;
+      total += size;
+      // Fixed header, then file name, extra field and comment
+      offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return total;
+  }
+  return null;
+}
+
+/**
+ * Reject when a promise has not settled after ms (the work itself is not cancelled)
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Extract the text of an attachment
+ * @param {{ filename: string, mimeType: string, content: Buffer }} attachment
+ * @returns {Promise<string>} - Empty string for unsupported types
+ */
+async function extractText(attachment) {
+  switch (extractorFor(attachment)) {
+    case 'pdf': {
+      const pdfParse = require('pdf-parse');
+      // pdf.js misreads Node Buffers (pooled memory); hand it a plain copy
+      const result = await pdfParse(new Uint8Array(attachment.content), { max: PDF_MAX_PAGES });
+      return result.text || '';
+    }
+    case 'docx': {
+      const unpackedSize = zipUncompressedSize(attachment.content);
+      if (unpackedSize === null) {
+        throw new Error('DOCX is not a readable zip archive');
+      }
+      if (unpackedSize > DOCX_MAX_UNCOMPRESSED_BYTES) {
+        throw new Error(`DOCX unpacks to more than ${DOCX_MAX_UNCOMPRESSED_BYTES / 1024 / 1024} MB`);
+      }
+      const mammoth = require('mammoth');
+      const result = await mammoth.extractRawText({ buffer: attachment.content });
+      return result.value || '';
+    }
+    case 'csv':
+    case 'text':
+      return attachment.content.toString('utf8');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Load an attachment's bytes, using inline data from the fetched message when Gmail included it
+ */
+async function loadContent(userId, message, part) {
+  if (part.data) return Buffer.from(part.data, 'base64url');
+  return gmailService.downloadAttachment(userId, message.id, part.attachmentId);
+}
+
+/**
+ * getAttachment - an attachment of a message, looked up by attachment ID or part ID.
+ * Returns: { filename, mimeType, size, content }
+ */
+async function getAttachment(userId, messageId, attachmentId) {
+  const message = await gmailService.getMessage(userId, messageId);
+  const parts = gmailService.findAttachmentParts(message.raw.payload);
+  const part = parts.find(p => p.attachmentId === attachmentId || p.partId === attachmentId);
+
+  if (!part) {
+    // Gmail may issue a new attachmentId on every fetch; a previously listed ID still downloads
+    const content = await gmailService.downloadAttachment(userId, messageId, attachmentId);
+    return { filename: 'attachment', mimeType: 'application/octet-stream', size: content.length, content };
+  }
+
+  const content = await loadContent(userId, message, part);
+  return { filename: part.filename, mimeType: part.mimeType || 'application/octet-stream', size: content.length, content };
+}
+
+/**
+ * extractMessageAttachments - text of the message's supported attachments, size- and time-limited.
+ * Attachments that fail to download or parse (or hit a limit) are skipped.
+ * Returns: [{ filename, mimeType, text, truncated }]
+ */
+async function extractMessageAttachments(userId, message) {
+  if (!message.raw?.payload) return [];
+
+  const candidates = gmailService.findAttachmentParts(message.raw.payload)
+    .filter(part => extractorFor(part) && (part.size || 0) <= TEXT_MAX_BYTES)
+    .slice(0, TEXT_MAX_FILES);
+
+  const results = [];
+  for (const part of candidates) {
+    try {
+      const content = await loadContent(userId, message, part);
+      const extracted = await withTimeout(
+        extractText({ ...part, content }),
+        TEXT_TIMEOUT_MS,
+        `Text extraction took longer than ${TEXT_TIMEOUT_MS / 1000} s`
+      );
+      const text = extracted.replace(/[^\S\n]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+      if (!text) continue;
+
+      results.push({
+        filename: part.filename,
+        mimeType: part.mimeType,
+        text: text.slice(0, TEXT_MAX_CHARS),
+        truncated: text.length > TEXT_MAX_CHARS
+      });
+    } catch (err) {
+      console.error(`[Attachments] Could not extract text from "${part.filename}" (${message.id}):`, err.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Render extracted attachment text for an LLM prompt ('' when there is none)
+ */
+function formatForPrompt(attachmentTexts) {
+  if (!attachmentTexts || attachmentTexts.length === 0) return '';
+
+  const sections = attachmentTexts.map(attachment =>
+    `--- ${attachment.filename} (${attachment.mimeType})${attachment.truncated ? ' [truncated]' : ''} ---\n${attachment.text}`
+  );
+  return `Attachments:\n${sections.join('\n\n')}`;
+}
+
+module.exports = {
+  extractorFor,
+  extractText,
+  getAttachment,
+  extractMessageAttachments,
+  formatForPrompt
+};
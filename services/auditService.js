@@ -0,0 +1,135 @@
+/**
+ * Audit trail
+ * Append-only record of what the bot suggested (classifications, generated replies) and what was
+ * actually sent, with the edits made to the suggestion in between. Entries older than
+ * AUDIT_RETENTION_DAYS are purged daily.
+ * Recording never fails the request it belongs to: write errors are logged instead.
+ */
+
+const crypto = require('crypto');
+const db = require('../utils/db');
+const { lineDiff } = require('../utils/textDiff');
+
+const EVENT_TYPES = ['classification', 'reply_generated', 'reply_sent'];
+// 0 keeps entries forever
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) >= 0
+  ? parseInt(process.env.AUDIT_RETENTION_DAYS, 10)
+  : 365;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * hashPrompt - SHA-256 of a prompt, so entries can be matched to prompts without storing them.
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt || '').digest('hex');
+}
+
+async function append(userId, entry) {
+  try {
+    return await db.auditLog.append(userId, entry);
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${entry.eventType} for ${entry.messageId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * recordClassification - a classifyAndSuggest result (failed ones included).
+ */
+async function recordClassification(userId, messageId, result) {
+  const { status, category, action, justification, confidence, attempts } = result;
+  return append(userId, {
+    eventType: 'classification',
+    messageId,
+    promptHash: result.promptHash,
+    model: result.model,
+    provider: result.provider,
+    output: result.rawModelResponse ?? null,
+    metadata: { status, category, action, justification, confidence, attempts }
+  });
+}
+
+/**
+ * recordReply - a reply suggested for a message.
+ * reply: { text, model, provider, promptHash, options, template, source }
+ */
+async function recordReply(userId, messageId, { text, model, provider, promptHash, options, template, source }) {
+  return append(userId, {
+    eventType: 'reply_generated',
+    messageId,
+    promptHash,
+    model,
+    provider,
+    output: text,
+    metadata: { source, options: options || null, template: template || null }
+  });
+}
+
+/**
+ * recordSend - a reply that went out, with the edits made to the last suggested reply for the message.
+ * sent: { text, recipients, attachments, source } - source is 'send', 'scheduled', 'draft' or 'rule'
+ * edits is null when nothing was suggested for the message (the reply was written by hand)
+ */
+async function recordSend(userId, messageId, { text, recipients, attachments, source, ...details }) {
+  let edits = null;
+  try {
+    const suggestion = await db.auditLog.findLatest(userId, messageId, 'reply_generated');
+    if (suggestion) {
+      const diff = lineDiff(suggestion.output, text);
+      edits = { suggestionId: suggestion.id, changed: diff !== '', diff };
+    }
+  } catch (err) {
+    console.error(`[Audit] Failed to look up the suggestion for ${messageId}:`, err.message);
+  }
+
+  return append(userId, {
+    eventType: 'reply_sent',
+    messageId,
+    output: text,
+    edits,
+    metadata: {
+      source,
+      recipients: recipients || null,
+      attachments: (attachments || []).map(({ filename, mimeType, size }) => ({ filename, mimeType, size })),
+      ...details
+    }
+  });
+}
+
+/**
+ * purgeExpired - delete entries older than AUDIT_RETENTION_DAYS (nothing when it is 0).
+ * Returns: number of entries deleted
+ */
+async function purgeExpired() {
+  if (RETENTION_DAYS === 0) return 0;
+  const deleted = await db.auditLog.purgeOlderThan(RETENTION_DAYS);
+  if (deleted > 0) {
+    console.log(`[Audit] Purged ${deleted} entries older than ${RETENTION_DAYS} days`);
+  }
+  return deleted;
+}
+
+/**
+ * startRetention - purge expired entries now and once a day.
+ */
+function startRetention() {
+  if (RETENTION_DAYS === 0 || timer) return;
+
+  const purge = () => purgeExpired().catch(err => console.error('[Audit] Purge failed:', err.message));
+  timer = setInterval(purge, PURGE_INTERVAL_MS);
+  timer.unref();
+  purge();
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RETENTION_DAYS,
+  hashPrompt,
+  recordClassification,
+  recordReply,
+  recordSend,
+  purgeExpired,
+  startRetention
+};
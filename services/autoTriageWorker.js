@@ -0,0 +1,154 @@
+/**
+ * Auto-triage worker
+ * Opt-in background job that classifies new inbox messages and labels them in Gmail
+ * (e.g. "AI/Invoice"). Enabled globally with AUTO_TRIAGE_ENABLED=true and per user with
+ * the autoTriageEnabled setting; autoTriageCategories limits which categories get labeled.
+ * Each newly classified message is then passed to the user's reply rules.
+ */
+
+const db = require('../utils/db');
+const syncService = require('./syncService');
+const gmailService = require('./gmailService');
+const emailController = require('../controllers/emailController');
+const ruleEngine = require('./ruleEngine');
+
+const WORKER_ENABLED = process.env.AUTO_TRIAGE_ENABLED === 'true';
+const INTERVAL_MS = (parseInt(process.env.AUTO_TRIAGE_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+const MAX_PER_RUN = parseInt(process.env.AUTO_TRIAGE_MAX_PER_RUN, 10) || 25;
+const LABEL_PREFIX = process.env.AUTO_TRIAGE_LABEL_PREFIX || 'AI';
+// A message whose classification keeps failing is retried after 1 hour, then 2, ... and given up on
+// after AUTO_TRIAGE_MAX_ATTEMPTS failures, so it cannot take up a run's slots (and model calls) forever
+const MAX_ATTEMPTS = parseInt(process.env.AUTO_TRIAGE_MAX_ATTEMPTS, 10) || 3;
+const RETRY_AFTER_MINUTES = parseInt(process.env.AUTO_TRIAGE_RETRY_AFTER_MINUTES, 10) || 60;
+
+// userId -> Map(label name -> Gmail label ID)
+const labelCache = new Map();
+// userId -> running promise, so overlapping triggers share one run
+const running = new Map();
+let timer = null;
+
+async function getLabelId(userId, name) {
+  if (!labelCache.has(userId)) labelCache.set(userId, new Map());
+  const userLabels = labelCache.get(userId);
+
+  if (!userLabels.has(name)) {
+    userLabels.set(name, await gmailService.ensureLabel(userId, name));
+  }
+  return userLabels.get(name);
+}
+
+/**
+ * Should this category be labeled for the user? (null/empty setting = every category)
+ */
+function shouldLabel(category, settings) {
+  if (!category) return false;
+  const allowed = settings?.autoTriageCategories;
+  if (!Array.isArray(allowed) || allowed.length === 0) return true;
+  return allowed.some(c => c.toLowerCase() === category.toLowerCase());
+}
+
+async function triageUser(userId, trigger) {
+  const runId = await db.triageRuns.start(userId, trigger);
+  const outcome = { processed: 0, classified: 0, labeled: 0, errors: [] };
+
+  try {
+    const settings = await db.userSettings.get(userId);
+    await syncService.syncMailbox(userId);
+    const candidates = await db.mailboxMessages.findUnclassified(userId, MAX_PER_RUN, {
+      maxAttempts: MAX_ATTEMPTS,
+      retryAfterMinutes: RETRY_AFTER_MINUTES
+    });
+
+    for (const candidate of candidates) {
+      outcome.processed++;
+      try {
+        const message = await gmailService.getMessage(userId, candidate.id);
+        const result = await emailController.getOrClassify(userId, message);
+        if (result.status !== 'ok') {
+          outcome.errors.push({ messageId: candidate.id, error: `Classification ${result.status}` });
+          continue;
+        }
+        outcome.classified++;
+
+        if (shouldLabel(result.category, settings)) {
+          const labelId = await getLabelId(userId, `${LABEL_PREFIX}/${result.category}`);
+          await gmailService.addLabels(userId, candidate.id, [labelId]);
+          outcome.labeled++;
+        }
+
+        const rules = await ruleEngine.runRules(userId, message, result);
+        for (const action of rules.actions || []) {
+          if (action.status === 'failed') {
+            outcome.errors.push({ messageId: candidate.id, error: `Rule "${rules.rule.name}" ${action.type}: ${action.detail}` });
+          }
+        }
+      } catch (err) {
+        // Over the usage budget: stop here, the remaining messages are picked up on a later run
+        if (err.code === 'LLM_BUDGET_EXCEEDED') throw err;
+        // A label may have been deleted in Gmail; look labels up again next time
+        labelCache.delete(userId);
+        outcome.errors.push({ messageId: candidate.id, error: err.message });
+      }
+    }
+
+    outcome.status = outcome.errors.length > 0 ? 'partial' : 'ok';
+  } catch (err) {
+    outcome.status = 'error';
+    outcome.errors.push({ error: err.message });
+  }
+
+  await db.triageRuns.finish(runId, outcome);
+  return { id: runId, trigger, ...outcome };
+}
+
+/**
+ * runForUser - triage one user's new mail now.
+ * trigger: 'schedule' | 'manual' | 'push'
+ * Returns: { id, trigger, status, processed, classified, labeled, errors }
+ */
+async function runForUser(userId, trigger = 'manual') {
+  if (running.has(userId)) {
+    return running.get(userId);
+  }
+
+  const promise = triageUser(userId, trigger).finally(() => running.delete(userId));
+  running.set(userId, promise);
+  return promise;
+}
+
+/**
+ * runAll - triage every user who enabled auto-triage, one after another.
+ */
+async function runAll() {
+  const userIds = await db.userSettings.findAutoTriageUserIds();
+  for (const userId of userIds) {
+    try {
+      await runForUser(userId, 'schedule');
+    } catch (err) {
+      console.error(`[Auto Triage] Run failed for ${userId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * isEnabledForUser - true when the worker is on and the user opted in.
+ */
+async function isEnabledForUser(userId) {
+  if (!WORKER_ENABLED) return false;
+  const settings = await db.userSettings.get(userId);
+  return Boolean(settings?.autoTriageEnabled);
+}
+
+/**
+ * start - schedule runAll every AUTO_TRIAGE_INTERVAL_MINUTES (no-op unless AUTO_TRIAGE_ENABLED=true).
+ */
+function start() {
+  if (!WORKER_ENABLED || timer) return;
+
+  timer = setInterval(() => {
+    runAll().catch(err => console.error('[Auto Triage] Scheduled run failed:', err.message));
+  }, INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = { start, runForUser, runAll, isEnabledForUser, WORKER_ENABLED };
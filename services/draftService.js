@@ -0,0 +1,96 @@
+/**
+ * Reply drafts
+ * Saves AI replies as Gmail drafts so they can be finished in Gmail before sending.
+ * Drafts created here are tracked in reply_drafts; drafts sent or deleted directly in Gmail
+ * are dropped from the list the next time it is loaded.
+ */
+
+const db = require('../utils/db');
+const gmailService = require('./gmailService');
+const auditService = require('./auditService');
+
+async function findOwnedDraft(userId, draftId) {
+  const draft = await db.replyDrafts.findById(userId, draftId);
+  if (!draft) {
+    throw new Error('Draft not found');
+  }
+  return draft;
+}
+
+/**
+ * createDraft - save a reply to a message as a threaded Gmail draft.
+ * options: as for gmailService.sendReply (mode, recipients, html, attachments)
+ * Returns: { draftId, messageId, threadId, recipients, attachments }
+ */
+async function createDraft(userId, messageId, replyText, options = {}) {
+  const { draftId, threadId, recipients, attachments } = await gmailService.createReplyDraft(userId, messageId, replyText, options);
+  await db.replyDrafts.create(userId, { draftId, messageId, threadId });
+  return { draftId, messageId, threadId, recipients, attachments };
+}
+
+/**
+ * listDrafts - the user's reply drafts that still exist in Gmail, newest first.
+ * Returns: [{ draftId, messageId, threadId, subject, to, snippet, createdAt, updatedAt }]
+ */
+async function listDrafts(userId) {
+  const drafts = await db.replyDrafts.listByUser(userId);
+  const result = [];
+
+  for (const draft of drafts) {
+    const gmailDraft = await gmailService.getDraft(userId, draft.draftId);
+    if (!gmailDraft) {
+      await db.replyDrafts.delete(userId, draft.draftId);
+      continue;
+    }
+    result.push({ ...draft, ...gmailDraft, messageId: draft.messageId });
+  }
+
+  return result;
+}
+
+/**
+ * updateDraft - replace the reply text (and optionally the recipients) of a draft.
+ * Returns: { to, cc, bcc, attachments }
+ */
+async function updateDraft(userId, draftId, replyText, options = {}) {
+  const draft = await findOwnedDraft(userId, draftId);
+  const recipients = await gmailService.updateReplyDraft(userId, draftId, draft.messageId, replyText, options);
+  await db.replyDrafts.touch(userId, draftId);
+  return recipients;
+}
+
+/**
+ * sendDraft - send the draft as it currently is in Gmail.
+ * Returns: { messageId, threadId } of the sent message
+ */
+async function sendDraft(userId, draftId) {
+  const draft = await findOwnedDraft(userId, draftId);
+  const sent = await gmailService.sendDraft(userId, draftId);
+  await db.replyDrafts.delete(userId, draftId);
+
+  // Audit the text that actually went out, including edits made in Gmail
+  try {
+    const sentMessage = await gmailService.getMessage(userId, sent.messageId);
+    await auditService.recordSend(userId, draft.messageId, {
+      text: sentMessage.body,
+      attachments: sentMessage.attachments,
+      source: 'draft',
+      draftId,
+      sentMessageId: sent.messageId
+    });
+  } catch (err) {
+    console.error(`[Audit] Failed to read sent draft ${draftId}:`, err.message);
+  }
+  return sent;
+}
+
+/**
+ * deleteDraft - delete the draft from Gmail.
+ */
+async function deleteDraft(userId, draftId) {
+  await findOwnedDraft(userId, draftId);
+  await gmailService.deleteDraft(userId, draftId);
+  await db.replyDrafts.delete(userId, draftId);
+}
+
+module.exports = { createDraft, listDrafts, updateDraft, sendDraft, deleteDraft };
@@ -1,5 +1,8 @@
 const { google } = require('googleapis');
 const db = require('../utils/db');
+const { parseAddressList, parseRecipientsInput, formatAddress, dedupeAddresses } = require('../utils/addresses');
+const { buildMessage, toBase64Url } = require('../utils/mime');
+const { parseMessage } = require('../utils/messageParser');
 
 async function getUserTokens(userId) {
   // Validate userId is provided
@@ -63,8 +66,97 @@ async function getAuthenticatedClient(userId) {
   return oauth2Client;
 }
 
-async function listMessagesForUser(userId) {
+// No-reply senders (noreply, no-reply, donotreply, no_reply, etc.)
+const NO_REPLY_PATTERNS = [
+  /noreply@/i,
+  /no-reply@/i,
+  /no_reply@/i,
+  /donotreply@/i,
+  /do-not-reply@/i,
+  /do_not_reply@/i,
+  /noreply\+/i,
+  /no-reply\+/i
+];
+
+/**
+ * Extract the bare, lower-cased email address from a "Name <email@example.com>" header value
+ */
+function extractEmailAddress(header) {
+  const value = header || '';
+  const match = value.match(/<([^>]+)>/) || value.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * True if the sender address is a no-reply address
+ */
+function isNoReplySender(fromHeader) {
+  const fromEmail = extractEmailAddress(fromHeader);
+  return NO_REPLY_PATTERNS.some(pattern => pattern.test(fromEmail) || pattern.test(fromHeader || ''));
+}
+
+/**
+ * True if a message from this sender should be shown in the inbox list
+ * (not sent by the user themselves and not from a no-reply address)
+ */
+function isListableSender(fromHeader, userEmail) {
+  return extractEmailAddress(fromHeader) !== (userEmail || '').toLowerCase() && !isNoReplySender(fromHeader);
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a date filter (ISO date or timestamp) into epoch seconds for Gmail's after:/before: operators
+ */
+function toEpochSeconds(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: "${value}". Use an ISO date such as 2024-01-31.`);
+  }
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Build messages.list parameters from caller options
+ * The caller's search is always combined with the safety filters (never list the user's own mail)
+ * @param {object} options - { q, labelIds, after, before, pageSize, pageToken }
+ */
+function buildListParams(options = {}) {
+  const pageSize = options.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(options.pageSize, 10);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid pageSize: must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const labelIds = Array.isArray(options.labelIds)
+    ? options.labelIds
+    : (options.labelIds ? String(options.labelIds).split(',').map(l => l.trim()).filter(Boolean) : []);
+
+  // Without an explicit label, keep the original scope: Primary tab of the inbox
+  const terms = labelIds.length > 0 ? [] : ['category:primary', 'in:inbox'];
+  terms.push('-from:me');
+  if (options.after) terms.push(`after:${toEpochSeconds(options.after, 'after')}`);
+  if (options.before) terms.push(`before:${toEpochSeconds(options.before, 'before')}`);
+  // Group the caller's search so operators like OR cannot escape the safety filters
+  if (options.q && String(options.q).trim()) terms.push(`(${String(options.q).trim()})`);
+
+  return {
+    userId: 'me',
+    maxResults: pageSize,
+    q: terms.join(' '),
+    ...(labelIds.length > 0 && { labelIds }),
+    ...(options.pageToken && { pageToken: options.pageToken })
+  };
+}
+
+/**
+ * listMessagesForUser - one page of the user's mailbox
+ * Options: { q, labelIds, after, before, pageSize, pageToken }
+ * Returns: { messages, nextPageToken, resultSizeEstimate, pageSize }
+ */
+async function listMessagesForUser(userId, options = {}) {
   try {
+    const listParams = buildListParams(options);
     const oauth2Client = await getAuthenticatedClient(userId);
     const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
 
@@ -76,122 +168,21 @@ async function listMessagesForUser(userId) {
       throw new Error('Unable to retrieve user email address');
     }
 
-    // Step 1: get basic list - only get Primary tab emails, exclude sent messages
-    // Query: category:primary in:inbox -from:me means "Primary tab, in inbox, and not from me"
+    // Step 1: get one page of message IDs
+    // Default query: category:primary in:inbox -from:me means "Primary tab, in inbox, and not from me"
     // This automatically excludes Promotions, Social, Updates, and Forums tabs
-    const resp = await gmail.users.messages.list({ 
-      userId: 'me', 
-      maxResults: 70, // Fetch enough to get 50 after filtering
-      q: 'category:primary in:inbox -from:me' // Only Primary tab inbox messages, exclude messages sent by the user
-    });
+    const resp = await gmail.users.messages.list(listParams);
     const messages = resp.data.messages || [];
+    const pageInfo = {
+      nextPageToken: resp.data.nextPageToken || null,
+      resultSizeEstimate: resp.data.resultSizeEstimate || 0,
+      pageSize: listParams.maxResults
+    };
 
     if (!messages || messages.length === 0) {
-      return [];
+      return { messages: [], ...pageInfo };
     }
 
-    // Helper function to clean email body text - removes tracking URLs, unsubscribe links, encoded data
-    // PRESERVES line breaks for proper email formatting
-    const cleanBodyText = (text) => {
-      if (!text) return '';
-      
-      // Remove ALL URLs (http/https) - they're usually tracking links
-      text = text.replace(/https?:\/\/[^\s]+/g, '');
-      
-      // Remove unsubscribe links and sections (case insensitive, even without URL)
-      text = text.replace(/Unsubscribe[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/unsubscribe[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/Click here to unsubscribe[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/See more[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/View more[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      
-      // Remove common email marketing phrases that are usually followed by tracking
-      text = text.replace(/Yes, connect[:\s]*/gi, '');
-      text = text.replace(/Connect[:\s]*/gi, '');
-      text = text.replace(/More people you may know[:\s]*/gi, '');
-      text = text.replace(/See more people[:\s]*/gi, '');
-      
-      // Remove standalone long encoded strings (tracking IDs, base64-like data)
-      text = text.replace(/\b[A-Za-z0-9_-]{30,}\b/g, '');
-      
-      // Remove email footer patterns (everything after "--" or common footer markers)
-      text = text.replace(/--\s*\n.*$/s, '');
-      text = text.replace(/^--\s*$/m, '');
-      
-      // Remove lines that are mostly encoded data or tracking, but KEEP empty lines for paragraph breaks
-      text = text.split('\n').filter(line => {
-        const trimmed = line.trim();
-        // KEEP empty lines for paragraph spacing
-        if (!trimmed) return true;
-        // Skip lines that are mostly URLs (even if URL was removed, might have fragments)
-        if (trimmed.match(/^[A-Za-z0-9_-]{20,}$/)) return false;
-        // Skip lines with high ratio of special encoding characters (%, &, =)
-        const specialChars = (trimmed.match(/[%&=]/g) || []).length;
-        if (specialChars > trimmed.length * 0.3) return false;
-        return true;
-      }).join('\n');
-      
-      // Only remove multiple spaces within lines, PRESERVE newlines for formatting
-      text = text.replace(/[^\S\n]+/g, ' ');
-      
-      // Collapse more than 2 consecutive newlines into 2 (paragraph break)
-      text = text.replace(/\n{3,}/g, '\n\n');
-      
-      // Remove leading/trailing whitespace from each line
-      text = text.split('\n').map(line => line.trim()).join('\n');
-      
-      // Remove leading/trailing whitespace
-      text = text.trim();
-      
-      return text;
-    };
-
-    // Helper function to extract plain text body only (ignores HTML, images, attachments)
-    const extractBody = (payload) => {
-      let body = '';
-      
-      // Skip if it's an image or attachment
-      if (payload.mimeType && (payload.mimeType.startsWith('image/') || payload.mimeType.startsWith('application/'))) {
-        return '';
-      }
-      
-      // If it's a simple text/plain message
-      if (payload.mimeType === 'text/plain' && payload.body && payload.body.data) {
-        body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
-        return cleanBodyText(body);
-      }
-      
-      // For multipart messages, recursively search for text/plain only
-      if (payload.parts) {
-        for (const part of payload.parts) {
-          // Skip images and attachments
-          if (part.mimeType && (part.mimeType.startsWith('image/') || 
-                                part.mimeType.startsWith('application/') ||
-                                part.mimeType.startsWith('video/') ||
-                                part.mimeType.startsWith('audio/'))) {
-            continue;
-          }
-          
-          // Only extract text/plain, ignore HTML
-          if (part.mimeType === 'text/plain' && part.body && part.body.data) {
-            const text = Buffer.from(part.body.data, 'base64').toString('utf-8');
-            if (text.trim()) {
-              body = cleanBodyText(text);
-              break; // Prefer plain text, stop searching
-            }
-          } else if (part.parts) {
-            // Recursive for nested multipart messages
-            const subBody = extractBody(part);
-            if (subBody && !body) {
-              body = subBody;
-            }
-          }
-        }
-      }
-      
-      return body;
-    };
-
     // Step 2: fetch full message data (including body) for each message
     const detailedMessages = await Promise.all(
       messages.map(async (msg) => {
@@ -208,40 +199,20 @@ async function listMessagesForUser(userId) {
           const date = headers.find(h => h.name === 'Date')?.value || '';
           const snippet = full.data.snippet || '';
           
-          // Extract full body text
-          const body = extractBody(full.data.payload || {});
+          // Extract full body text; the preview shows only what the sender wrote (no quoted history)
+          const parsed = parseMessage(full.data.payload || {});
+          const body = parsed.text;
           
           // Create a longer preview (at least 50 words or full body if shorter)
-          const words = body.split(/\s+/).filter(w => w.length > 0);
+          const words = (parsed.content || body).split(/\s+/).filter(w => w.length > 0);
           const previewLength = Math.max(50, Math.min(words.length, 200)); // At least 50 words, max 200
           const bodyPreview = words.slice(0, previewLength).join(' ') + (words.length > previewLength ? '...' : '');
           
           // Get internal date from Gmail API (more reliable than header date)
           const internalDate = full.data.internalDate ? parseInt(full.data.internalDate) : null;
 
-          // Additional check: extract email from "From" header and verify it's not the user
-          const fromEmailMatch = from.match(/<([^>]+)>/) || from.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-          const fromEmail = fromEmailMatch ? fromEmailMatch[1].toLowerCase() : from.toLowerCase();
-          
-          // Skip if this message is from the user (double-check)
-          if (fromEmail === userEmail) {
-            return null;
-          }
-
-          // Skip no-reply emails (noreply, no-reply, donotreply, no_reply, etc.)
-          const noReplyPatterns = [
-            /noreply@/i,
-            /no-reply@/i,
-            /no_reply@/i,
-            /donotreply@/i,
-            /do-not-reply@/i,
-            /do_not_reply@/i,
-            /noreply\+/i,
-            /no-reply\+/i
-          ];
-          
-          const isNoReply = noReplyPatterns.some(pattern => pattern.test(fromEmail) || pattern.test(from));
-          if (isNoReply) {
+          // Skip if this message is from the user (double-check) or from a no-reply sender
+          if (!isListableSender(from, userEmail)) {
             return null;
           }
 
@@ -271,8 +242,8 @@ async function listMessagesForUser(userId) {
       return dateB - dateA; // Descending order (newest first)
     });
     
-    // Limit to 50 most recent messages
-    return validMessages.slice(0, 50);
+    // Pages can be shorter than pageSize: own and no-reply messages are dropped above
+    return { messages: validMessages, ...pageInfo };
   } catch (err) {
     // Enhance error messages for common Gmail API errors
     if (err.code === 401 || err.message?.includes('Invalid Credentials')) {
@@ -286,90 +257,421 @@ async function listMessagesForUser(userId) {
   }
 }
 
-async function sendReply(userId, messageId, replyText) {
-  try {
-    if (!replyText || !replyText.trim()) {
-      throw new Error('Reply text is required');
+const REPLY_MODES = ['reply', 'replyAll'];
+// Gmail rejects messages over 25 MB
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+// Larger messages are sent with a media upload instead of the raw field
+const SIMPLE_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Validate attachments uploaded in a request body: [{ filename, mimeType, data (base64) }]
+ */
+function parseUploadedAttachments(attachments) {
+  if (attachments === undefined || attachments === null) return [];
+  if (!Array.isArray(attachments)) {
+    throw new Error('Invalid attachments: must be an array of { filename, mimeType, data }');
+  }
+
+  return attachments.map((attachment, index) => {
+    const { filename, mimeType, data } = attachment || {};
+    if (typeof filename !== 'string' || !filename.trim()) {
+      throw new Error(`Invalid attachment ${index}: filename is required`);
+    }
+    if (typeof data !== 'string' || !/^[A-Za-z0-9+/_=\s-]*$/.test(data)) {
+      throw new Error(`Invalid attachment ${index}: data must be base64`);
     }
+    if (mimeType !== undefined && !/^[\w.+-]+\/[\w.+-]+$/.test(mimeType)) {
+      throw new Error(`Invalid attachment ${index}: mimeType must look like "type/subtype"`);
+    }
+    return {
+      filename: filename.trim(),
+      mimeType: mimeType || 'application/octet-stream',
+      content: Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+    };
+  });
+}
 
-    const oauth2Client = await getAuthenticatedClient(userId);
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+/**
+ * List the attachment parts of a message payload
+ * Returns: [{ partId, attachmentId, filename, mimeType, size, data }]
+ */
+function findAttachmentParts(payload) {
+  const found = [];
+  const walk = (part) => {
+    if (!part) return;
+    if (part.filename && (part.body?.attachmentId || part.body?.data)) {
+      found.push({
+        partId: part.partId,
+        attachmentId: part.body.attachmentId,
+        filename: part.filename,
+        mimeType: part.mimeType,
+        size: part.body.size,
+        data: part.body.data
+      });
+    }
+    (part.parts || []).forEach(walk);
+  };
+  walk(payload);
+  return found;
+}
 
-    // Get user's email address
-    const profile = await gmail.users.getProfile({ userId: 'me' });
-    const userEmail = profile.data.emailAddress;
-    if (!userEmail) {
-      throw new Error('Unable to retrieve user email address');
+/**
+ * Download attachments of the original message to include in the reply
+ * @param {true|string[]} selection - true for all, or attachment IDs / part IDs
+ */
+async function loadForwardedAttachments(gmail, messageId, payload, selection) {
+  if (!selection) return [];
+  const parts = findAttachmentParts(payload);
+
+  let selected = parts;
+  if (selection !== true) {
+    if (!Array.isArray(selection)) {
+      throw new Error('Invalid forwardAttachments: must be true or an array of attachment IDs');
     }
+    selected = selection.map(id => {
+      const part = parts.find(p => p.attachmentId === id || p.partId === id);
+      if (!part) {
+        throw new Error(`Invalid forwardAttachments: attachment ${id} not found on the original message`);
+      }
+      return part;
+    });
+  }
 
-    // Get original message to extract thread info and sender
-    const message = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'metadata' });
-    const headers = message.data.payload?.headers || [];
-    
-    if (!headers || headers.length === 0) {
-      throw new Error('Unable to retrieve message headers');
+  const attachments = [];
+  for (const part of selected) {
+    let data = part.data;
+    if (!data) {
+      const resp = await gmail.users.messages.attachments.get({ userId: 'me', messageId, id: part.attachmentId });
+      data = resp.data.data;
     }
+    attachments.push({
+      filename: part.filename,
+      mimeType: part.mimeType,
+      content: Buffer.from(data || '', 'base64url')
+    });
+  }
+  return attachments;
+}
+
+/**
+ * The user's own addresses (primary plus send-as aliases), lower-cased
+ */
+async function getOwnAddresses(gmail, userEmail) {
+  const own = new Set([userEmail.toLowerCase()]);
+  try {
+    const resp = await gmail.users.settings.sendAs.list({ userId: 'me' });
+    (resp.data.sendAs || []).forEach(alias => own.add(alias.sendAsEmail.toLowerCase()));
+  } catch (error) {
+    // Aliases are best-effort; the primary address is always excluded
+  }
+  return own;
+}
+
+/**
+ * Build the MIME reply to a message, threaded with the original.
+ * options: { mode: 'reply' | 'replyAll', to, cc, bcc, html, attachments, forwardAttachments }
+ *   to/cc/bcc replace the computed recipients; html adds a text/html alternative;
+ *   attachments are uploads ({ filename, mimeType, data: base64 }); forwardAttachments is true
+ *   or a list of the original's attachment/part IDs; messageIdHeader sets the reply's Message-ID
+ * Returns: { mime, threadId, recipients: { to, cc, bcc }, attachments: [{ filename, mimeType, size }] }
+ */
+async function buildReply(gmail, messageId, replyText, options = {}) {
+  if (!replyText || !replyText.trim()) {
+    throw new Error('Reply text is required');
+  }
+
+  if (options.html !== undefined && typeof options.html !== 'string') {
+    throw new Error('Invalid html: must be a string');
+  }
+
+  const mode = options.mode || 'reply';
+  if (!REPLY_MODES.includes(mode)) {
+    throw new Error(`Invalid reply mode: must be one of ${REPLY_MODES.join(', ')}`);
+  }
+
+  // Get user's email address
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  const userEmail = profile.data.emailAddress;
+  if (!userEmail) {
+    throw new Error('Unable to retrieve user email address');
+  }
+
+  // Get original message to extract thread info and sender (with its parts when forwarding attachments)
+  const message = await gmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: options.forwardAttachments ? 'full' : 'metadata'
+  });
+  const headers = message.data.payload?.headers || [];
+  
+  if (!headers || headers.length === 0) {
+    throw new Error('Unable to retrieve message headers');
+  }
 
-    const subject = headers.find(h => h.name === 'Subject')?.value || '';
-    const fromHeader = headers.find(h => h.name === 'From')?.value || '';
-    const threadId = message.data.threadId;
+  const header = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+  const subject = header('Subject');
+  const threadId = message.data.threadId;
+  const ownAddresses = await getOwnAddresses(gmail, userEmail);
+
+  const from = parseAddressList(header('From'));
+  const replyTarget = parseAddressList(header('Reply-To')).length > 0 ? parseAddressList(header('Reply-To')) : from;
+  const originalTo = parseAddressList(header('To'));
+  const originalCc = parseAddressList(header('Cc'));
+
+  // Replying to a message the user sent goes back to its original recipients
+  const fromSelf = from.some(address => ownAddresses.has(address.email));
+  let to = fromSelf ? originalTo : replyTarget;
+  let cc = mode === 'replyAll' ? [...(fromSelf ? [] : originalTo), ...originalCc] : [];
+  let bcc = [];
+
+  if (options.to !== undefined) to = parseRecipientsInput(options.to, 'to');
+  if (options.cc !== undefined) cc = parseRecipientsInput(options.cc, 'cc');
+  if (options.bcc !== undefined) bcc = parseRecipientsInput(options.bcc, 'bcc');
+
+  // Never address the user themselves, and list each recipient once
+  const seen = new Set(ownAddresses);
+  to = dedupeAddresses(to, seen);
+  cc = dedupeAddresses(cc, seen);
+  bcc = dedupeAddresses(bcc, seen);
+
+  if (to.length === 0) {
+    [to, cc] = [cc, []];
+  }
+  if (to.length === 0 && bcc.length === 0) {
+    throw new Error('At least one recipient is required (your own addresses are never included)');
+  }
+
+  // References = the original's chain (or its In-Reply-To) followed by its Message-ID
+  const originalMessageId = header('Message-ID').trim();
+  const references = [
+    ...(header('References') || header('In-Reply-To')).match(/<[^>]+>/g) || [],
+    ...(originalMessageId ? [originalMessageId] : [])
+  ].filter((id, index, all) => all.indexOf(id) === index);
+
+  // Clean replyText - remove subject line if it's included
+  let cleanReplyText = replyText.trim();
+  // Remove "Subject: Re: ..." if present at the start
+  cleanReplyText = cleanReplyText.replace(/^Subject:\s*Re:.*?\n\n?/i, '');
+  // Remove any leading "Re: " from subject-like lines
+  cleanReplyText = cleanReplyText.replace(/^Re:\s*/i, '');
+
+  const attachments = [
+    ...parseUploadedAttachments(options.attachments),
+    ...await loadForwardedAttachments(gmail, messageId, message.data.payload, options.forwardAttachments)
+  ];
+  const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.content.length, 0);
+  if (totalBytes > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`Invalid attachments: total size exceeds ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const mime = buildMessage({
+    from: userEmail,
+    to,
+    cc,
+    bcc,
+    subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+    messageId: options.messageIdHeader,
+    inReplyTo: originalMessageId,
+    references,
+    text: cleanReplyText,
+    html: options.html,
+    attachments
+  });
+
+  const emails = (list) => list.map(address => address.email);
+  return {
+    mime,
+    threadId,
+    recipients: { to: emails(to), cc: emails(cc), bcc: emails(bcc) },
+    attachments: attachments.map(({ filename, mimeType, content }) => ({ filename, mimeType, size: content.length }))
+  };
+}
 
-    if (!fromHeader) {
-      throw new Error('Unable to determine recipient email address');
+/**
+ * Request parameters for sending/saving a MIME message
+ * Small messages go in the `raw` field; large ones use a media upload, which allows up to 35 MB
+ * @param {Function} wrap - Wraps the message resource (e.g. in { message } for drafts)
+ */
+function uploadParams(mime, threadId, wrap = (message) => message) {
+  if (Buffer.byteLength(mime) <= SIMPLE_UPLOAD_BYTES) {
+    return { requestBody: wrap({ raw: toBase64Url(mime), threadId }) };
+  }
+  return {
+    requestBody: wrap({ threadId }),
+    media: { mimeType: 'message/rfc822', body: mime }
+  };
+}
+
+/**
+ * Map Gmail API errors from send/draft calls to user-facing messages
+ */
+function composeError(err, permission) {
+  if (err.code === 401 || err.message?.includes('Invalid Credentials')) {
+    return new Error('Authentication failed. Please re-authenticate your Google account.');
+  } else if (err.code === 403) {
+    if (err.message?.includes('Insufficient Permission') || err.message?.includes('insufficient')) {
+      return new Error(`Permission denied. ${permission} Please re-authenticate with the correct scopes.`);
     }
+    return new Error('Permission denied. Please check Gmail API permissions.');
+  } else if (err.code === 404) {
+    return new Error('Draft or message not found.');
+  } else if (err.code === 429) {
+    return new Error('Rate limit exceeded. Please try again later.');
+  } else if (err.code === 400) {
+    return new Error(`Invalid request: ${err.message}`);
+  }
+  return err;
+}
 
-    // Extract email address from "Name <email@example.com>" format
-    const fromEmailMatch = fromHeader.match(/<([^>]+)>/) || fromHeader.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-    const fromEmail = fromEmailMatch ? fromEmailMatch[1] : fromHeader;
-
-    // Clean replyText - remove subject line if it's included
-    let cleanReplyText = replyText.trim();
-    // Remove "Subject: Re: ..." if present at the start
-    cleanReplyText = cleanReplyText.replace(/^Subject:\s*Re:.*?\n\n?/i, '');
-    // Remove any leading "Re: " from subject-like lines
-    cleanReplyText = cleanReplyText.replace(/^Re:\s*/i, '');
-
-    // Prepare RFC 2822 formatted email
-    const rawMessage = [
-      `From: ${userEmail}`,
-      `To: ${fromEmail}`,
-      `Subject: Re: ${subject}`,
-      `In-Reply-To: ${messageId}`,
-      `References: ${messageId}`,
-      '',
-      cleanReplyText
-    ].join('\n');
-
-    const encodedMessage = Buffer.from(rawMessage)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+/**
+ * sendReply - replies to a message in its thread.
+ * options: see buildReply
+ * Returns: { to, cc, bcc, attachments } - the addresses the reply went to and what was attached
+ */
+async function sendReply(userId, messageId, replyText, options = {}) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const { mime, threadId, recipients, attachments } = await buildReply(gmail, messageId, replyText, options);
 
     // Send message in the same thread
     await gmail.users.messages.send({
       userId: 'me',
-      requestBody: {
-        raw: encodedMessage,
-        threadId
-      }
+      ...uploadParams(mime, threadId)
     });
 
+    return { ...recipients, attachments };
   } catch (err) {
-    // Enhance error messages for common Gmail API errors
-    if (err.code === 401 || err.message?.includes('Invalid Credentials')) {
-      throw new Error('Authentication failed. Please re-authenticate your Google account.');
-    } else if (err.code === 403) {
-      if (err.message?.includes('Insufficient Permission') || err.message?.includes('insufficient')) {
-        throw new Error('Permission denied. Gmail send permission is required. Please re-authenticate with the correct scopes.');
-      }
-      throw new Error('Permission denied. Please check Gmail API permissions.');
-    } else if (err.code === 429) {
-      throw new Error('Rate limit exceeded. Please try again later.');
-    } else if (err.code === 400) {
-      throw new Error(`Invalid request: ${err.message}`);
+    throw composeError(err, 'Gmail send permission is required.');
+  }
+}
+
+/**
+ * isSent - true if a message with this Message-ID header is in the user's mailbox
+ * (used to tell whether an interrupted send went out).
+ */
+async function isSent(userId, messageIdHeader) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const resp = await gmail.users.messages.list({
+      userId: 'me',
+      q: `rfc822msgid:${messageIdHeader.replace(/^<|>$/g, '')}`,
+      maxResults: 1
+    });
+    return (resp.data.messages || []).length > 0;
+  } catch (err) {
+    throw composeError(err, 'Gmail read permission is required.');
+  }
+}
+
+/**
+ * createReplyDraft - saves a reply to a message as a Gmail draft in the same thread.
+ * options: see buildReply
+ * Returns: { draftId, threadId, recipients, attachments }
+ */
+async function createReplyDraft(userId, messageId, replyText, options = {}) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const { mime, threadId, recipients, attachments } = await buildReply(gmail, messageId, replyText, options);
+
+    const resp = await gmail.users.drafts.create({
+      userId: 'me',
+      ...uploadParams(mime, threadId, message => ({ message }))
+    });
+    return { draftId: resp.data.id, threadId: resp.data.message?.threadId || threadId, recipients, attachments };
+  } catch (err) {
+    throw composeError(err, 'Gmail modify permission is required to save drafts.');
+  }
+}
+
+/**
+ * updateReplyDraft - replaces the body of a reply draft.
+ * Recipients already on the draft are kept unless options set a mode or recipients.
+ * Attachments are not carried over; pass them again to keep them.
+ * Returns: { to, cc, bcc, attachments }
+ */
+async function updateReplyDraft(userId, draftId, messageId, replyText, options = {}) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+    let replyOptions = options;
+    if (!options.mode && options.to === undefined && options.cc === undefined && options.bcc === undefined) {
+      const existing = await gmail.users.drafts.get({ userId: 'me', id: draftId, format: 'metadata' });
+      const headers = existing.data.message?.payload?.headers || [];
+      const recipients = (name) => parseAddressList(headers.find(h => h.name.toLowerCase() === name)?.value).map(formatAddress);
+      replyOptions = { ...options, to: recipients('to'), cc: recipients('cc'), bcc: recipients('bcc') };
     }
-    throw err;
+
+    const { mime, threadId, recipients, attachments } = await buildReply(gmail, messageId, replyText, replyOptions);
+
+    await gmail.users.drafts.update({
+      userId: 'me',
+      id: draftId,
+      ...uploadParams(mime, threadId, message => ({ id: draftId, message }))
+    });
+    return { ...recipients, attachments };
+  } catch (err) {
+    throw composeError(err, 'Gmail modify permission is required to save drafts.');
+  }
+}
+
+/**
+ * getDraft - draft summary, or null if it no longer exists in Gmail.
+ * Returns: { draftId, threadId, subject, to, snippet }
+ */
+async function getDraft(userId, draftId) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const resp = await gmail.users.drafts.get({ userId: 'me', id: draftId, format: 'metadata' });
+    const message = resp.data.message || {};
+    const headers = message.payload?.headers || [];
+
+    return {
+      draftId: resp.data.id,
+      threadId: message.threadId,
+      subject: headers.find(h => h.name.toLowerCase() === 'subject')?.value || '',
+      to: headers.find(h => h.name.toLowerCase() === 'to')?.value || '',
+      snippet: message.snippet || ''
+    };
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw composeError(err, 'Gmail modify permission is required to read drafts.');
+  }
+}
+
+/**
+ * sendDraft - sends a draft as-is (including edits made in Gmail).
+ * Returns: { messageId, threadId } of the sent message
+ */
+async function sendDraft(userId, draftId) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const resp = await gmail.users.drafts.send({
+      userId: 'me',
+      requestBody: { id: draftId }
+    });
+    return { messageId: resp.data.id, threadId: resp.data.threadId };
+  } catch (err) {
+    throw composeError(err, 'Gmail send permission is required.');
+  }
+}
+
+/**
+ * deleteDraft - permanently deletes a draft (already-deleted drafts are ignored).
+ */
+async function deleteDraft(userId, draftId) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    await gmail.users.drafts.delete({ userId: 'me', id: draftId });
+  } catch (err) {
+    if (err.code === 404) return;
+    throw composeError(err, 'Gmail modify permission is required to delete drafts.');
   }
 }
 
@@ -383,113 +685,25 @@ async function getMessage(userId, messageId) {
     const headers = payload.headers || [];
     const subjectH = headers.find(h => h.name.toLowerCase() === 'subject');
     const subject = subjectH ? subjectH.value : '';
+    const from = headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
     const snippet = resp.data.snippet || '';
     
-    // Helper function to clean email body text - removes tracking URLs, unsubscribe links, encoded data
-    // PRESERVES line breaks for proper email formatting
-    const cleanBodyText = (text) => {
-      if (!text) return '';
-      
-      // Remove ALL URLs (http/https) - they're usually tracking links
-      text = text.replace(/https?:\/\/[^\s]+/g, '');
-      
-      // Remove unsubscribe links and sections (case insensitive, even without URL)
-      text = text.replace(/Unsubscribe[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/unsubscribe[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/Click here to unsubscribe[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/See more[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      text = text.replace(/View more[:\s]*(https?:\/\/[^\s]+)?/gi, '');
-      
-      // Remove common email marketing phrases that are usually followed by tracking
-      text = text.replace(/Yes, connect[:\s]*/gi, '');
-      text = text.replace(/Connect[:\s]*/gi, '');
-      text = text.replace(/More people you may know[:\s]*/gi, '');
-      text = text.replace(/See more people[:\s]*/gi, '');
-      
-      // Remove standalone long encoded strings (tracking IDs, base64-like data)
-      text = text.replace(/\b[A-Za-z0-9_-]{30,}\b/g, '');
-      
-      // Remove email footer patterns (everything after "--" or common footer markers)
-      text = text.replace(/--\s*\n.*$/s, '');
-      text = text.replace(/^--\s*$/m, '');
-      
-      // Remove lines that are mostly encoded data or tracking, but KEEP empty lines for paragraph breaks
-      text = text.split('\n').filter(line => {
-        const trimmed = line.trim();
-        // KEEP empty lines for paragraph spacing
-        if (!trimmed) return true;
-        // Skip lines that are mostly URLs (even if URL was removed, might have fragments)
-        if (trimmed.match(/^[A-Za-z0-9_-]{20,}$/)) return false;
-        // Skip lines with high ratio of special encoding characters (%, &, =)
-        const specialChars = (trimmed.match(/[%&=]/g) || []).length;
-        if (specialChars > trimmed.length * 0.3) return false;
-        return true;
-      }).join('\n');
-      
-      // Only remove multiple spaces within lines, PRESERVE newlines for formatting
-      text = text.replace(/[^\S\n]+/g, ' ');
-      
-      // Collapse more than 2 consecutive newlines into 2 (paragraph break)
-      text = text.replace(/\n{3,}/g, '\n\n');
-      
-      // Remove leading/trailing whitespace from each line
-      text = text.split('\n').map(line => line.trim()).join('\n');
-      
-      // Remove leading/trailing whitespace
-      text = text.trim();
-      
-      return text;
-    };
-
-    // Extract plain text body only (ignores HTML, images, attachments)
-    const extractBody = (payload) => {
-      let body = '';
-      
-      // Skip if it's an image or attachment
-      if (payload.mimeType && (payload.mimeType.startsWith('image/') || payload.mimeType.startsWith('application/'))) {
-        return '';
-      }
-      
-      // If it's a simple text/plain message
-      if (payload.mimeType === 'text/plain' && payload.body && payload.body.data) {
-        body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
-        return cleanBodyText(body);
-      }
-      
-      // For multipart messages, recursively search for text/plain only
-      if (payload.parts) {
-        for (const part of payload.parts) {
-          // Skip images and attachments
-          if (part.mimeType && (part.mimeType.startsWith('image/') || 
-                                part.mimeType.startsWith('application/') ||
-                                part.mimeType.startsWith('video/') ||
-                                part.mimeType.startsWith('audio/'))) {
-            continue;
-          }
-          
-          // Only extract text/plain, ignore HTML
-          if (part.mimeType === 'text/plain' && part.body && part.body.data) {
-            const text = Buffer.from(part.body.data, 'base64').toString('utf-8');
-            if (text.trim()) {
-              body = cleanBodyText(text);
-              break; // Prefer plain text, stop searching
-            }
-          } else if (part.parts) {
-            // Recursive for nested multipart messages
-            const subBody = extractBody(part);
-            if (subBody && !body) {
-              body = subBody;
-            }
-          }
-        }
-      }
-      
-      return body;
-    };
-    
-    const body = extractBody(payload);
+    const { text, content, quoted, signature, links } = parseMessage(payload);
+    const attachments = findAttachmentParts(payload).map(({ data, ...attachment }) => attachment);
     
-    return { id: messageId, subject, snippet, body: body || snippet, raw: resp.data };
+    return {
+      id: messageId,
+      subject,
+      from,
+      snippet,
+      body: text || snippet,
+      content: content || snippet,
+      quoted,
+      signature,
+      links,
+      attachments,
+      raw: resp.data
+    };
   } catch (err) {
     // Use the provided userId (no auto-resolution for security)
     const actualUserId = userId;
@@ -514,6 +728,80 @@ async function getMessage(userId, messageId) {
   }
 }
 
+/**
+ * downloadAttachment - raw bytes of a message attachment.
+ */
+async function downloadAttachment(userId, messageId, attachmentId) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const resp = await gmail.users.messages.attachments.get({ userId: 'me', messageId, id: attachmentId });
+    return Buffer.from(resp.data.data || '', 'base64url');
+  } catch (err) {
+    if (err.code === 404 || err.code === 400) {
+      throw new Error('Attachment not found.');
+    }
+    throw composeError(err, 'Gmail read permission is required.');
+  }
+}
+
+/**
+ * Map Gmail API errors from label operations to friendly messages
+ */
+function labelError(err) {
+  if (err.code === 401 || err.message?.includes('Invalid Credentials')) {
+    return new Error('Authentication failed. Please re-authenticate your Google account.');
+  } else if (err.code === 403) {
+    return new Error('Permission denied. Gmail modify permission is required to apply labels. Please re-authenticate with the correct scopes.');
+  } else if (err.code === 429) {
+    return new Error('Rate limit exceeded. Please try again later.');
+  }
+  return err;
+}
+
+/**
+ * ensureLabel - returns the ID of the user label with this name, creating it if needed.
+ */
+async function ensureLabel(userId, name) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+    const resp = await gmail.users.labels.list({ userId: 'me' });
+    const existing = (resp.data.labels || []).find(l => l.name.toLowerCase() === name.toLowerCase());
+    if (existing) return existing.id;
+
+    const created = await gmail.users.labels.create({
+      userId: 'me',
+      requestBody: {
+        name,
+        labelListVisibility: 'labelShow',
+        messageListVisibility: 'show'
+      }
+    });
+    return created.data.id;
+  } catch (err) {
+    throw labelError(err);
+  }
+}
+
+/**
+ * addLabels - applies labels to a message.
+ */
+async function addLabels(userId, messageId, labelIds) {
+  try {
+    const oauth2Client = await getAuthenticatedClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { addLabelIds: labelIds }
+    });
+  } catch (err) {
+    throw labelError(err);
+  }
+}
+
 async function getUserProfile(userId) {
   try {
     const oauth2Client = await getAuthenticatedClient(userId);
@@ -561,4 +849,24 @@ async function getUserProfile(userId) {
   }
 }
 
-module.exports = { listMessagesForUser, getMessage, sendReply, getUserProfile };
+module.exports = {
+  getAuthenticatedClient,
+  listMessagesForUser,
+  getMessage,
+  downloadAttachment,
+  sendReply,
+  isSent,
+  createReplyDraft,
+  updateReplyDraft,
+  getDraft,
+  sendDraft,
+  deleteDraft,
+  getUserProfile,
+  ensureLabel,
+  addLabels,
+  findAttachmentParts,
+  parseUploadedAttachments,
+  extractEmailAddress,
+  isNoReplySender,
+  isListableSender
+};
@@ -0,0 +1,54 @@
+/**
+ * LLM configuration
+ * Provider selection and per-task model settings, read from environment variables
+ */
+
+function readNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+// Model used by every task unless overridden per task or per user
+const DEFAULT_MODEL = process.env.LLM_MODEL || null;
+
+/**
+ * Per-task settings
+ * classify: short, deterministic JSON output
+ * generate: free-form text such as reply drafts
+ */
+const tasks = {
+  classify: {
+    model: process.env.LLM_CLASSIFY_MODEL || DEFAULT_MODEL,
+    temperature: readNumber(process.env.LLM_CLASSIFY_TEMPERATURE, 0.0),
+    maxTokens: readNumber(process.env.LLM_CLASSIFY_MAX_TOKENS, 300)
+  },
+  generate: {
+    model: process.env.LLM_GENERATE_MODEL || DEFAULT_MODEL,
+    temperature: readNumber(process.env.LLM_GENERATE_TEMPERATURE, 0.4),
+    maxTokens: readNumber(process.env.LLM_GENERATE_MAX_TOKENS, 600)
+  }
+};
+
+/**
+ * Provider connection settings
+ */
+const providers = {
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    defaultModel: 'gpt-4o-mini'
+  },
+  // Any OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1)
+  local: {
+    apiKey: process.env.LLM_LOCAL_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LLM_LOCAL_MODEL || 'llama3.1'
+  },
+  mock: {
+    defaultModel: 'mock'
+  }
+};
+
+module.exports = { DEFAULT_PROVIDER, tasks, providers };
@@ -0,0 +1,101 @@
+/**
+ * LLM provider layer
+ * Resolves the provider and task settings for a call (env defaults, optionally overridden per user)
+ *
+ * Provider interface:
+ *   {
+ *     name: string,
+ *     classify(prompt, settings) => Promise<{ text, provider, model, usage }>,
+ *     generate(prompt, settings) => Promise<{ text, provider, model, usage }>
+ *   }
+ * where settings = { model, temperature, maxTokens }
+ * and usage = { promptTokens, completionTokens }
+ */
+
+const config = require('./config');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createMockProvider } = require('./providers/mock');
+
+const factories = {
+  openai: () => createOpenAIProvider({ name: 'openai', ...config.providers.openai }),
+  local: () => createOpenAIProvider({ name: 'local', ...config.providers.local }),
+  mock: () => createMockProvider()
+};
+
+const instances = {};
+
+/**
+ * @returns {string[]} - Names of the available providers
+ */
+function listProviders() {
+  return Object.keys(factories);
+}
+
+/**
+ * @param {string} name - Provider name
+ * @returns {object} - Provider instance
+ */
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${listProviders().join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+}
+
+/**
+ * Load the user's settings (provider/model overrides and usage budgets), if any
+ */
+async function getUserSettings(userId) {
+  if (!userId) return null;
+  const db = require('../../utils/db');
+  return db.userSettings.get(userId);
+}
+
+/**
+ * Run a task against the resolved provider
+ * Calls made for a user are checked against their usage budget first and metered afterwards.
+ * @param {'classify'|'generate'} task - Task type
+ * @param {string} prompt - Prompt text
+ * @param {object} [options]
+ * @param {string} [options.userId] - User making the call (enables per-user overrides, budgets and metering)
+ * @returns {Promise<{ text: string, provider: string, model: string, usage: object }>}
+ * @throws {Error} - code 'LLM_BUDGET_EXCEEDED' when the user is over budget, 'LLM_PROVIDER_ERROR' when the provider fails
+ */
+async function run(task, prompt, { userId } = {}) {
+  const taskSettings = config.tasks[task];
+  if (!taskSettings) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+
+  const userSettings = await getUserSettings(userId);
+  const providerName = userSettings?.llmProvider || config.DEFAULT_PROVIDER;
+  const provider = getProvider(providerName);
+  const settings = {
+    ...taskSettings,
+    model: userSettings?.llmModel || taskSettings.model
+  };
+
+  const usageService = require('../usageService');
+  await usageService.assertWithinBudget(userId, userSettings);
+
+  let result;
+  try {
+    result = await provider[task](prompt, settings);
+  } catch (err) {
+    // Tag provider failures so callers can tell an outage apart from a bad answer
+    const error = new Error(`LLM provider "${providerName}" failed: ${err.message}`);
+    error.code = 'LLM_PROVIDER_ERROR';
+    error.provider = providerName;
+    error.cause = err;
+    throw error;
+  }
+
+  // Outside the try: the call succeeded (and was billed), so a metering problem is not a provider error
+  await usageService.recordUsage(userId, task, result);
+  return result;
+}
+
+module.exports = { run, getProvider, listProviders };
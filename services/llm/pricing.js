@@ -0,0 +1,82 @@
+/**
+ * LLM pricing
+ * USD per 1M prompt / completion tokens, used to estimate the cost of each call.
+ * LLM_PRICING (JSON, e.g. {"gpt-4o-mini": {"prompt": 0.15, "completion": 0.6}}) adds or overrides models.
+ * Users can only pick priced models for paid providers; a model without a price (e.g. one set by an
+ * operator through LLM_MODEL) is charged at the highest known rate, so budgets still hold.
+ */
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 }
+};
+
+// Self-hosted and test providers cost nothing per token
+const FREE_PROVIDERS = ['local', 'mock'];
+
+function readPriceOverrides(value) {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    const prices = {};
+    for (const [model, price] of Object.entries(parsed)) {
+      if (Number(price?.prompt) >= 0 && Number(price?.completion) >= 0) {
+        prices[model] = { prompt: Number(price.prompt), completion: Number(price.completion) };
+      }
+    }
+    return prices;
+  } catch (error) {
+    console.error('[LLM Usage] Ignoring LLM_PRICING: not valid JSON');
+    return {};
+  }
+}
+
+const PRICES = { ...DEFAULT_PRICES, ...readPriceOverrides(process.env.LLM_PRICING) };
+
+// Rate for models without a price: the most expensive known prompt and completion rates
+const FALLBACK_PRICE = {
+  prompt: Math.max(...Object.values(PRICES).map(price => price.prompt)),
+  completion: Math.max(...Object.values(PRICES).map(price => price.completion))
+};
+
+/**
+ * Price of a model, or null if unknown
+ * Matches the longest known name the model starts with, so dated snapshots such as
+ * "gpt-4o-mini-2024-07-18" use the "gpt-4o-mini" price
+ */
+function priceFor(model) {
+  if (!model) return null;
+  const name = model.toLowerCase();
+  const match = Object.keys(PRICES)
+    .filter(known => name === known.toLowerCase() || name.startsWith(`${known.toLowerCase()}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? PRICES[match] : null;
+}
+
+/**
+ * True when calls to the model through the provider can be priced (free providers take any model)
+ */
+function isPriced(provider, model) {
+  return FREE_PROVIDERS.includes(provider) || priceFor(model) !== null;
+}
+
+/**
+ * estimateCost - estimated USD cost of one call.
+ * Returns: { costUsd, priced } - priced is false when the model has no known price (charged at FALLBACK_PRICE)
+ */
+function estimateCost(provider, model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { costUsd: 0, priced: true };
+  }
+  const priced = priceFor(model) !== null;
+  const price = priceFor(model) || FALLBACK_PRICE;
+  const costUsd = (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+  return { costUsd: Math.round(costUsd * 1e6) / 1e6, priced };
+}
+
+module.exports = { PRICES, FALLBACK_PRICE, priceFor, isPriced, estimateCost };
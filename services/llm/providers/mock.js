@@ -0,0 +1,62 @@
+/**
+ * Mock provider
+ * Deterministic, offline responses for development and tests. Never calls a network API.
+ */
+
+// Keyword rules checked in order; the first match wins
+const RULES = [
+  { pattern: /\binvoice|payment due|amount due|billing\b/i, category: 'Invoice', action: 'Forward to accounts payable' },
+  { pattern: /\bleave|vacation|time off|sick day\b/i, category: 'Leave Request', action: 'Approve or decline the leave request' },
+  { pattern: /\bpurchase order|\bPO\b/i, category: 'Purchase Order', action: 'Review and confirm the purchase order' },
+  { pattern: /\bmeeting|call|schedule|calendar\b/i, category: 'Meeting Request', action: 'Check availability and respond' },
+  { pattern: /\bhelp|issue|problem|error|support|not working\b/i, category: 'Support Request', action: 'Open a support ticket' },
+  { pattern: /\bwinner|lottery|free money|act now\b/i, category: 'Spam', action: 'Mark as spam' }
+];
+
+/**
+ * Only look at the email part of the prompt, not the instructions or category list
+ */
+function emailPart(prompt) {
+  const index = prompt.lastIndexOf('Email subject:');
+  return index === -1 ? prompt : prompt.slice(index);
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function result(prompt, text) {
+  return {
+    text,
+    provider: 'mock',
+    model: 'mock',
+    usage: {
+      promptTokens: estimateTokens(prompt),
+      completionTokens: estimateTokens(text)
+    }
+  };
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async classify(prompt) {
+      const email = emailPart(prompt);
+      // Only pick categories the prompt actually offers (users may have their own taxonomy)
+      const rule = RULES.find(r => r.pattern.test(email) && prompt.includes(`"${r.category}"`));
+      const classification = rule
+        ? { category: rule.category, action: rule.action, justification: `The email mentions ${rule.category.toLowerCase()} keywords.`, confidence: 0.9 }
+        : { category: 'Other', action: 'Review manually', justification: 'No known keywords were found in the email.', confidence: 0.5 };
+
+      return result(prompt, JSON.stringify(classification));
+    },
+
+    async generate(prompt) {
+      const text = 'Hello,\n\nThank you for your email. I have received your message and will get back to you shortly.\n\nBest regards';
+      return result(prompt, text);
+    }
+  };
+}
+
+module.exports = { createMockProvider };
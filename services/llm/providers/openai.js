@@ -0,0 +1,56 @@
+/**
+ * OpenAI provider
+ * Also used for OpenAI-compatible endpoints (Ollama, llama.cpp server) by passing a baseURL
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Provider name reported in results
+ * @param {string} options.apiKey - API key
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible API
+ * @param {string} options.defaultModel - Model used when the task settings do not name one
+ */
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, defaultModel }) {
+  let client = null;
+
+  // Created lazily so a missing key only fails when this provider is actually used
+  function getClient() {
+    if (!client) {
+      if (!apiKey) {
+        throw new Error(`Missing API key for LLM provider "${name}"`);
+      }
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  }
+
+  async function complete(prompt, settings) {
+    const model = settings.model || defaultModel;
+    const resp = await getClient().chat.completions.create({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature
+    });
+
+    return {
+      text: resp.choices?.[0]?.message?.content ?? '',
+      provider: name,
+      model: resp.model || model,
+      usage: {
+        promptTokens: resp.usage?.prompt_tokens ?? 0,
+        completionTokens: resp.usage?.completion_tokens ?? 0
+      }
+    };
+  }
+
+  return {
+    name,
+    classify: complete,
+    generate: complete
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -1,19 +1,23 @@
-const OpenAI = require('openai');
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const llm = require('./llm');
 
-async function classify(prompt) {
-  try {
-    const resp = await client.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 300,
-      temperature: 0.0
-    });
-    const text = resp.choices?.[0]?.message?.content ?? resp.output?.[0]?.content ?? JSON.stringify(resp);
-    return text;
-  } catch (err) {
-    return JSON.stringify({ category: 'Other', action: 'Review manually', justification: 'OpenAI error' });
-  }
+/**
+ * classify - short, deterministic structured output (email classification)
+ * Returns: { text, provider, model, usage }
+ * Throws an error with code 'LLM_PROVIDER_ERROR' when the provider call fails, or
+ * 'LLM_BUDGET_EXCEEDED' (without calling the model) when the user is over their usage budget
+ */
+async function classify(prompt, options = {}) {
+  return llm.run('classify', prompt, options);
 }
 
-module.exports = { classify };
+/**
+ * generate - free-form text generation (reply drafts)
+ * Returns: { text, provider, model, usage }
+ * Throws an error with code 'LLM_PROVIDER_ERROR' when the provider call fails, or
+ * 'LLM_BUDGET_EXCEEDED' (without calling the model) when the user is over their usage budget
+ */
+async function generate(prompt, options = {}) {
+  return llm.run('generate', prompt, options);
+}
+
+module.exports = { classify, generate };
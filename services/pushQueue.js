@@ -0,0 +1,97 @@
+/**
+ * Push notification queue
+ * Gmail push notifications only say "something changed up to historyId X". Each one queues an
+ * incremental sync for the user followed by classification of the newly added messages.
+ * Jobs run one user at a time; pushes that arrive while a user's job is running are coalesced
+ * into a single follow-up run.
+ * At most PUSH_CLASSIFY_MAX_PER_NOTIFICATION messages are classified per run, so a full resync
+ * (expired historyId, up to 500 messages) does not turn one notification into hundreds of LLM calls;
+ * the rest stay unclassified until they are fetched or triaged.
+ */
+
+const db = require('../utils/db');
+const syncService = require('./syncService');
+const gmailService = require('./gmailService');
+const emailController = require('../controllers/emailController');
+const autoTriageWorker = require('./autoTriageWorker');
+
+const MAX_CLASSIFY_PER_NOTIFICATION = parseInt(process.env.PUSH_CLASSIFY_MAX_PER_NOTIFICATION, 10) >= 0
+  ? parseInt(process.env.PUSH_CLASSIFY_MAX_PER_NOTIFICATION, 10)
+  : 10;
+
+// userId -> highest historyId seen in a push that has not been processed yet
+const pending = new Map();
+let processing = false;
+
+/**
+ * True if the pushed historyId is already covered by the last sync
+ */
+function alreadySynced(pushedHistoryId, syncedHistoryId) {
+  if (!pushedHistoryId || !syncedHistoryId) return false;
+  try {
+    return BigInt(pushedHistoryId) <= BigInt(syncedHistoryId);
+  } catch (error) {
+    return false;
+  }
+}
+
+async function processUser(userId, historyId) {
+  const state = await db.syncState.get(userId);
+  if (alreadySynced(historyId, state?.historyId)) return;
+
+  // Auto-triage users get the full run (sync, classify and label)
+  if (await autoTriageWorker.isEnabledForUser(userId)) {
+    await autoTriageWorker.runForUser(userId, 'push');
+    return;
+  }
+
+  const result = await syncService.syncMailbox(userId);
+  const toClassify = result.added.slice(0, MAX_CLASSIFY_PER_NOTIFICATION);
+  if (toClassify.length < result.added.length) {
+    console.log(`[Push Queue] ${result.mode} sync added ${result.added.length} messages for ${userId}; classifying ${toClassify.length}`);
+  }
+
+  for (const messageId of toClassify) {
+    try {
+      const message = await gmailService.getMessage(userId, messageId);
+      await emailController.getOrClassify(userId, message);
+    } catch (err) {
+      console.error(`[Push Queue] Failed to classify ${messageId} for ${userId}:`, err.message);
+      // The rest would fail the same way; they stay unclassified until the budget resets
+      if (err.code === 'LLM_BUDGET_EXCEEDED') break;
+    }
+  }
+}
+
+async function drain() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (pending.size > 0) {
+      const [userId, historyId] = pending.entries().next().value;
+      pending.delete(userId);
+      try {
+        await processUser(userId, historyId);
+      } catch (err) {
+        console.error(`[Push Queue] Sync failed for ${userId}:`, err.message);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * enqueue - queue an incremental fetch and classification for a user.
+ * Returns immediately; work happens in the background.
+ */
+function enqueue(userId, historyId) {
+  const existing = pending.get(userId);
+  if (!existing || !alreadySynced(historyId, existing)) {
+    pending.set(userId, historyId);
+  }
+  drain();
+}
+
+module.exports = { enqueue };
@@ -0,0 +1,204 @@
+/**
+ * Rule engine
+ * Runs a user's reply rules on classified messages (from the auto-triage worker). The first enabled
+ * rule whose conditions match runs its actions: label, draft, send or notify.
+ * Automatic sending is gated: a confidence threshold, a per-sender daily cap, and loop detection
+ * (auto-replies, mailing lists and no-reply senders never get one). Automatic replies always go to
+ * the From address alone, never to Reply-To, so the gates and the cap apply to the real recipient.
+ * Rules in dry-run mode only record what they would have done.
+ */
+
+const db = require('../utils/db');
+const gmailService = require('./gmailService');
+const draftService = require('./draftService');
+const templateService = require('./templateService');
+const auditService = require('./auditService');
+const emailController = require('../controllers/emailController');
+const { parseAddress } = require('../utils/addresses');
+const { unmatchedConditions } = require('../utils/ruleSchema');
+const { postJson } = require('../utils/webhook');
+
+const AUTO_SEND_MIN_CONFIDENCE = parseFloat(process.env.RULES_AUTO_SEND_MIN_CONFIDENCE) >= 0
+  ? parseFloat(process.env.RULES_AUTO_SEND_MIN_CONFIDENCE)
+  : 0.9;
+// Automatic replies per sender per 24 hours (0 disables automatic sending)
+const AUTO_SEND_DAILY_CAP = parseInt(process.env.RULES_AUTO_SEND_DAILY_CAP, 10) >= 0
+  ? parseInt(process.env.RULES_AUTO_SEND_DAILY_CAP, 10)
+  : 2;
+const NOTIFY_TIMEOUT_MS = 5000;
+
+const AUTO_REPLY_SUBJECT_PATTERN = /^(auto(matic)?[ -]?reply|auto(matische)? ?(antwort|response)|out of (the )?office|abwesenheitsnotiz|r[ée]ponse automatique|undeliverable|delivery status notification)\b|^auto:/i;
+
+function header(message, name) {
+  const headers = message.raw?.payload?.headers || [];
+  return headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * autoReplyBlock - why a message must never get an automatic reply (loop detection), or null.
+ */
+function autoReplyBlock(message, userEmail) {
+  const autoSubmitted = header(message, 'Auto-Submitted').trim().toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    return `Message is automatic (Auto-Submitted: ${autoSubmitted})`;
+  }
+  if (header(message, 'X-Autoreply') || header(message, 'X-Autorespond') ||
+      /\b(all|autoreply|oof)\b/i.test(header(message, 'X-Auto-Response-Suppress'))) {
+    return 'Message is an auto-reply or asks not to get one';
+  }
+  if (/^(bulk|junk|list|auto_reply)$/i.test(header(message, 'Precedence').trim())) {
+    return `Message is bulk mail (Precedence: ${header(message, 'Precedence').trim()})`;
+  }
+  if (header(message, 'List-Id') || header(message, 'List-Unsubscribe')) {
+    return 'Message is from a mailing list';
+  }
+  if (AUTO_REPLY_SUBJECT_PATTERN.test((message.subject || '').trim())) {
+    return 'Subject looks like an automatic reply';
+  }
+
+  const sender = parseAddress(message.from);
+  if (!sender) {
+    return 'Sender address is missing';
+  }
+  if (gmailService.isNoReplySender(message.from)) {
+    return 'Sender is a no-reply address';
+  }
+  if (userEmail && sender.email === userEmail.toLowerCase()) {
+    return 'Message was sent by the user';
+  }
+  return null;
+}
+
+/**
+ * Reply text for a draft/send action: the action's template, or an AI reply
+ */
+async function replyText(userId, message, action) {
+  if (action.templateId) {
+    const { text, template } = await templateService.renderForMessage(userId, action.templateId, message);
+    await auditService.recordReply(userId, message.id, { text, template, source: 'rule_template' });
+    return text;
+  }
+  const { replyDraft } = await emailController.generateReply(userId, message);
+  return replyDraft;
+}
+
+/**
+ * Reasons an automatic send is not allowed (checked in dry runs too)
+ */
+async function sendBlock(userId, message, classification, rule, senderEmail) {
+  const user = await db.users.findById(userId, true);
+  const loop = autoReplyBlock(message, user?.email);
+  if (loop) return loop;
+
+  const threshold = Math.max(AUTO_SEND_MIN_CONFIDENCE, rule.conditions.minConfidence || 0);
+  if (!(typeof classification.confidence === 'number' && classification.confidence >= threshold)) {
+    return `Confidence ${classification.confidence ?? 'unknown'} is below the auto-send threshold ${threshold}`;
+  }
+
+  const sentToday = await db.ruleExecutions.countSentToSender(userId, senderEmail);
+  if (sentToday >= AUTO_SEND_DAILY_CAP) {
+    return `Daily auto-reply cap reached for ${senderEmail} (${AUTO_SEND_DAILY_CAP} per 24 hours)`;
+  }
+  return null;
+}
+
+async function notify(action, rule, message, classification) {
+  await postJson(action.url, {
+    rule: { id: rule.id, name: rule.name },
+    message: { id: message.id, subject: message.subject, from: message.from, snippet: message.snippet },
+    classification: { category: classification.category, action: classification.action, confidence: classification.confidence }
+  }, { timeoutMs: NOTIFY_TIMEOUT_MS });
+}
+
+async function runAction(userId, message, classification, rule, action, { dryRun, senderEmail }) {
+  if (action.type === 'label') {
+    if (dryRun) return { status: 'dry_run', detail: `Would add label "${action.label}"` };
+    const labelId = await gmailService.ensureLabel(userId, action.label);
+    await gmailService.addLabels(userId, message.id, [labelId]);
+    return { status: 'done', detail: `Added label "${action.label}"` };
+  }
+
+  if (action.type === 'notify') {
+    if (dryRun) return { status: 'dry_run', detail: `Would notify ${new URL(action.url).host}` };
+    await notify(action, rule, message, classification);
+    return { status: 'done', detail: `Notified ${new URL(action.url).host}` };
+  }
+
+  const source = action.templateId ? `template ${action.templateId}` : 'an AI reply';
+
+  if (action.type === 'send') {
+    const blocked = await sendBlock(userId, message, classification, rule, senderEmail);
+    if (blocked) return { status: 'skipped', detail: blocked };
+    if (dryRun) return { status: 'dry_run', detail: `Would send ${source} to ${senderEmail}` };
+
+    const text = await replyText(userId, message, action);
+    // Only to the sender the gates checked (and the daily cap counts): a Reply-To header must not redirect it
+    const { attachments, ...recipients } = await gmailService.sendReply(userId, message.id, text, { to: [senderEmail], cc: [] });
+    await auditService.recordSend(userId, message.id, { text, recipients, attachments, source: 'rule', ruleId: rule.id });
+    const replyTo = parseAddress(header(message, 'Reply-To'))?.email;
+    const ignored = replyTo && replyTo !== senderEmail ? ` (Reply-To ${replyTo} ignored)` : '';
+    return { status: 'done', detail: `Sent ${source} to ${senderEmail}${ignored}`, sent: true };
+  }
+
+  // draft
+  if (dryRun) return { status: 'dry_run', detail: `Would save ${source} as a draft` };
+  const draft = await draftService.createDraft(userId, message.id, await replyText(userId, message, action));
+  return { status: 'done', detail: `Saved ${source} as draft ${draft.draftId}` };
+}
+
+/**
+ * runRules - run the first matching rule on a classified message.
+ * classification: classifyAndSuggest / getOrClassify result
+ * Options: { dryRun } - force dry-run mode; { record } - false to skip the rule_executions log
+ *   (and the once-per-message check), for testing rules
+ * Returns: { rule, dryRun, actions: [{ type, status, detail }], sent } or { rule: null } if no rule matched;
+ *   status is 'done', 'dry_run', 'skipped' (a safety gate stopped it) or 'failed' (with the error as detail)
+ */
+async function runRules(userId, message, classification, { dryRun: forceDryRun = false, record = true } = {}) {
+  if (classification.status && classification.status !== 'ok') {
+    return { rule: null };
+  }
+
+  const rules = await db.replyRules.listByUser(userId, { enabledOnly: true });
+  const senderEmail = parseAddress(message.from)?.email || null;
+  const context = {
+    category: classification.category,
+    confidence: classification.confidence,
+    senderEmail,
+    subject: message.subject
+  };
+
+  const rule = rules.find(candidate => unmatchedConditions(candidate.conditions, context).length === 0);
+  if (!rule) {
+    return { rule: null };
+  }
+
+  const dryRun = forceDryRun || rule.dryRun;
+  let executionId = null;
+  if (record) {
+    executionId = await db.ruleExecutions.claim(userId, message.id, { ruleId: rule.id, ruleName: rule.name, senderEmail, dryRun });
+    if (!executionId) {
+      return { rule: { id: rule.id, name: rule.name }, dryRun, actions: [], sent: false, alreadyRun: true };
+    }
+  }
+
+  const actions = [];
+  let sent = false;
+  for (const action of rule.actions) {
+    try {
+      const { sent: didSend, ...outcome } = await runAction(userId, message, classification, rule, action, { dryRun, senderEmail });
+      sent = sent || Boolean(didSend);
+      actions.push({ type: action.type, ...outcome });
+    } catch (err) {
+      console.error(`[Rules] Rule ${rule.id} ${action.type} failed for ${message.id}:`, err.message);
+      actions.push({ type: action.type, status: 'failed', detail: err.message });
+    }
+  }
+
+  if (executionId) {
+    await db.ruleExecutions.finish(executionId, { actions, sent });
+  }
+  return { rule: { id: rule.id, name: rule.name }, dryRun, actions, sent };
+}
+
+module.exports = { runRules, autoReplyBlock, AUTO_SEND_MIN_CONFIDENCE, AUTO_SEND_DAILY_CAP };
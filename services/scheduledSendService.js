@@ -0,0 +1,293 @@
+/**
+ * Scheduled sends
+ * Replies queued in the scheduled_sends table and delivered by a worker in the server process.
+ * Jobs survive restarts; failed attempts are retried with exponential backoff, and each job ends
+ * as sent, failed (with the error) or cancelled.
+ * The undo-send window uses the same queue: the reply is held for a few seconds so it can be cancelled.
+ */
+
+const db = require('../utils/db');
+const gmailService = require('./gmailService');
+const auditService = require('./auditService');
+const { parseRecipientsInput } = require('../utils/addresses');
+
+const WORKER_ENABLED = process.env.SCHEDULED_SEND_ENABLED !== 'false';
+const POLL_MS = (parseInt(process.env.SCHEDULED_SEND_POLL_SECONDS, 10) || 30) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULED_SEND_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = (parseInt(process.env.SCHEDULED_SEND_RETRY_BASE_SECONDS, 10) || 60) * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A job still "sending" after this long belongs to a process that died mid-send
+// (it is retried, but only after checking that the earlier attempt did not go out)
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const MAX_DAYS_AHEAD = 365;
+const BATCH_SIZE = 20;
+
+// The undo-send window is off (0) or MIN..MAX seconds
+const MIN_UNDO_SEND_SECONDS = 10;
+const MAX_UNDO_SEND_SECONDS = 60;
+// Undo-send delay for users who have not chosen one (0 = send immediately; 1-9 is raised to the minimum)
+const DEFAULT_UNDO_SEND_SECONDS = (() => {
+  const seconds = Math.min(Math.max(parseInt(process.env.UNDO_SEND_SECONDS, 10) || 0, 0), MAX_UNDO_SEND_SECONDS);
+  return seconds > 0 ? Math.max(seconds, MIN_UNDO_SEND_SECONDS) : 0;
+})();
+
+// Errors that will not go away by retrying (bad input, revoked access, deleted message)
+const PERMANENT_ERROR_PATTERN = /not found|Invalid|required|Permission|Authentication failed|Unable to decrypt/;
+
+let timer = null;
+let polling = null;
+// A due-soon job arrived while a poll was running; poll again when it finishes
+let pollAgain = false;
+
+/**
+ * Parse and check a requested send time
+ * @param {string|number} value - ISO 8601 string or epoch milliseconds
+ * @returns {Date}
+ */
+function parseSendAt(value) {
+  const sendAt = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  if (value === null || value === '' || Number.isNaN(sendAt.getTime())) {
+    throw new Error('Invalid sendAt: use an ISO 8601 date-time (e.g. 2025-03-04T09:00:00Z) or epoch milliseconds');
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    throw new Error('Invalid sendAt: must be in the future');
+  }
+  if (sendAt.getTime() > Date.now() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    throw new Error(`Invalid sendAt: must be within ${MAX_DAYS_AHEAD} days`);
+  }
+  return sendAt;
+}
+
+/**
+ * Reject options that would only fail at send time
+ */
+function validateOptions(options) {
+  for (const field of ['to', 'cc', 'bcc']) {
+    if (options[field] !== undefined) parseRecipientsInput(options[field], field);
+  }
+  gmailService.parseUploadedAttachments(options.attachments);
+}
+
+function toJob({ id, messageId, replyText, sendAt, status, attempts, nextAttemptAt, lastError, result, sentAt, createdAt, updatedAt }) {
+  return { id, messageId, replyText, sendAt, status, attempts, nextAttemptAt, lastError, result, sentAt, createdAt, updatedAt };
+}
+
+/**
+ * Poll right when a job comes due if that is before the next regular poll
+ */
+function wakeAt(when) {
+  const delay = when.getTime() - Date.now();
+  if (delay >= POLL_MS) return;
+
+  setTimeout(() => {
+    processDue().catch(err => console.error('[Scheduled Send] Poll failed:', err.message));
+  }, Math.max(delay, 0) + 100).unref();
+}
+
+async function enqueue(userId, messageId, replyText, when, options) {
+  if (!WORKER_ENABLED) {
+    throw new Error('Scheduled sending is disabled on this server');
+  }
+  if (!replyText || !String(replyText).trim()) {
+    throw new Error('replyText is required in request body');
+  }
+  validateOptions(options);
+
+  const jobId = await db.scheduledSends.create(userId, { messageId, replyText, options, sendAt: when });
+  wakeAt(when);
+  return toJob(await db.scheduledSends.findById(userId, jobId));
+}
+
+/**
+ * schedule - queue a reply to be sent at sendAt.
+ * options: as for gmailService.sendReply (mode, recipients, html, attachments)
+ * Returns: the job { id, messageId, replyText, sendAt, status, attempts, ... }
+ */
+async function schedule(userId, messageId, replyText, sendAt, options = {}) {
+  return enqueue(userId, messageId, replyText, parseSendAt(sendAt), options);
+}
+
+/**
+ * holdForUndo - queue a reply to be sent after the undo-send delay; cancel() stops it.
+ * Returns: the job
+ */
+async function holdForUndo(userId, messageId, replyText, delaySeconds, options = {}) {
+  return enqueue(userId, messageId, replyText, new Date(Date.now() + delaySeconds * 1000), options);
+}
+
+/**
+ * undoSendSeconds - the user's undo-send delay (their setting, else UNDO_SEND_SECONDS).
+ * Settings saved before the 10-second minimum are raised to it. Always 0 when the worker is off
+ * (SCHEDULED_SEND_ENABLED=false): nothing would deliver a held reply, so replies go out at once.
+ */
+function undoSendSeconds(settings) {
+  if (!WORKER_ENABLED) return 0;
+  const seconds = settings?.undoSendSeconds;
+  if (seconds === null || seconds === undefined) return DEFAULT_UNDO_SEND_SECONDS;
+  return seconds > 0 ? Math.max(seconds, MIN_UNDO_SEND_SECONDS) : 0;
+}
+
+/**
+ * listScheduled - the user's jobs by send time; status filters to one status.
+ * Returns: [job]
+ */
+async function listScheduled(userId, { status } = {}) {
+  const jobs = await db.scheduledSends.listByUser(userId, { status });
+  return jobs.map(toJob);
+}
+
+async function findPendingJob(userId, jobId) {
+  const job = await db.scheduledSends.findById(userId, jobId);
+  if (!job) {
+    throw new Error('Scheduled send not found');
+  }
+  if (job.status !== 'scheduled') {
+    throw new Error(`Scheduled send is already ${job.status}`);
+  }
+  return job;
+}
+
+/**
+ * reschedule - move a pending job to a new send time (attempts start over).
+ * Returns: the updated job
+ */
+async function reschedule(userId, jobId, sendAt) {
+  const when = parseSendAt(sendAt);
+  await findPendingJob(userId, jobId);
+
+  // The worker may have claimed it in between
+  if (!await db.scheduledSends.reschedule(userId, jobId, when)) {
+    await findPendingJob(userId, jobId);
+  }
+  wakeAt(when);
+  return toJob(await db.scheduledSends.findById(userId, jobId));
+}
+
+/**
+ * cancel - cancel a pending job; it is kept with status "cancelled".
+ * Returns: the updated job
+ */
+async function cancel(userId, jobId) {
+  await findPendingJob(userId, jobId);
+
+  if (!await db.scheduledSends.cancel(userId, jobId)) {
+    await findPendingJob(userId, jobId);
+  }
+  return toJob(await db.scheduledSends.findById(userId, jobId));
+}
+
+/**
+ * Delay before the next attempt: base, 2x base, 4x base... capped at an hour
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Message-ID header for a job's reply, the same on every attempt, so a retry can tell whether an
+ * earlier attempt was sent after all
+ */
+function jobMessageIdHeader(job) {
+  return `<scheduled-${job.id}-${new Date(job.createdAt).getTime()}@email-reply-bot>`;
+}
+
+async function deliver(jobId) {
+  const job = await db.scheduledSends.claim(jobId, new Date());
+  if (!job) return;
+
+  const messageIdHeader = jobMessageIdHeader(job);
+  try {
+    // An earlier attempt may have been sent without being recorded (process stopped, response lost)
+    if (job.attempts > 1 && await gmailService.isSent(job.userId, messageIdHeader)) {
+      await db.scheduledSends.markSent(job.id, { recovered: true });
+      await auditService.recordSend(job.userId, job.messageId, {
+        text: job.replyText,
+        recipients: null,
+        attachments: [],
+        source: 'scheduled',
+        scheduledSendId: job.id,
+        recovered: true
+      });
+      console.log(`[Scheduled Send] Job ${job.id} was already sent by an earlier attempt`);
+      return;
+    }
+
+    const { attachments, ...recipients } = await gmailService.sendReply(job.userId, job.messageId, job.replyText, {
+      ...job.options,
+      messageIdHeader
+    });
+    await db.scheduledSends.markSent(job.id, { ...recipients, attachments });
+    await auditService.recordSend(job.userId, job.messageId, {
+      text: job.replyText,
+      recipients,
+      attachments,
+      source: 'scheduled',
+      scheduledSendId: job.id
+    });
+  } catch (err) {
+    const retry = job.attempts < MAX_ATTEMPTS && !PERMANENT_ERROR_PATTERN.test(err.message || '');
+    const nextAttemptAt = retry ? new Date(Date.now() + retryDelay(job.attempts)) : null;
+    await db.scheduledSends.markAttemptFailed(job.id, err.message || 'Unknown error', nextAttemptAt);
+    console.error(`[Scheduled Send] Job ${job.id} attempt ${job.attempts} failed${retry ? '' : ' (giving up)'}:`, err.message);
+  }
+}
+
+/**
+ * processDue - send every job that is due, one after another.
+ * Returns: number of jobs attempted
+ */
+async function processDue() {
+  if (polling) {
+    pollAgain = true;
+    return polling;
+  }
+
+  polling = (async () => {
+    await db.scheduledSends.releaseStale(new Date(Date.now() - STALE_LOCK_MS));
+    const jobIds = await db.scheduledSends.findDueIds(new Date(), BATCH_SIZE);
+    for (const jobId of jobIds) {
+      try {
+        await deliver(jobId);
+      } catch (err) {
+        console.error(`[Scheduled Send] Job ${jobId} could not be processed:`, err.message);
+      }
+    }
+    return jobIds.length;
+  })().finally(() => {
+    polling = null;
+    if (pollAgain) {
+      pollAgain = false;
+      processDue().catch(err => console.error('[Scheduled Send] Poll failed:', err.message));
+    }
+  });
+
+  return polling;
+}
+
+/**
+ * start - poll for due jobs every SCHEDULED_SEND_POLL_SECONDS (no-op when SCHEDULED_SEND_ENABLED=false).
+ */
+function start() {
+  if (!WORKER_ENABLED || timer) return;
+
+  const poll = () => processDue().catch(err => console.error('[Scheduled Send] Poll failed:', err.message));
+  timer = setInterval(poll, POLL_MS);
+  timer.unref();
+  // Catch up on jobs that came due while the server was down
+  poll();
+}
+
+module.exports = {
+  schedule,
+  holdForUndo,
+  undoSendSeconds,
+  listScheduled,
+  reschedule,
+  cancel,
+  processDue,
+  start,
+  WORKER_ENABLED,
+  MIN_UNDO_SEND_SECONDS,
+  MAX_UNDO_SEND_SECONDS,
+  DEFAULT_UNDO_SEND_SECONDS
+};
@@ -0,0 +1,239 @@
+const { google } = require('googleapis');
+const db = require('../utils/db');
+const gmailService = require('./gmailService');
+
+// Upper bound on messages pulled by a full resync
+const FULL_SYNC_MAX_MESSAGES = parseInt(process.env.SYNC_FULL_MAX_MESSAGES, 10) || 500;
+// Messages fetched in parallel when loading metadata
+const FETCH_CONCURRENCY = 10;
+// The index covers the Primary tab of the inbox, like the default /gmail/list view
+const INDEX_QUERY = 'category:primary in:inbox';
+
+// One sync per user at a time; concurrent callers share the running promise
+const running = new Map();
+
+/**
+ * Load metadata for a set of message IDs, a few at a time
+ * Returns the messages that still exist and the IDs that are gone
+ */
+async function fetchMetadata(gmail, messageIds) {
+  const found = [];
+  const missing = [];
+
+  for (let i = 0; i < messageIds.length; i += FETCH_CONCURRENCY) {
+    const batch = messageIds.slice(i, i + FETCH_CONCURRENCY);
+    await Promise.all(batch.map(async (id) => {
+      try {
+        const resp = await gmail.users.messages.get({
+          userId: 'me',
+          id,
+          format: 'metadata',
+          metadataHeaders: ['Subject', 'From', 'Date']
+        });
+        const headers = resp.data.payload?.headers || [];
+        found.push({
+          id,
+          threadId: resp.data.threadId,
+          subject: headers.find(h => h.name === 'Subject')?.value || '(no subject)',
+          from: headers.find(h => h.name === 'From')?.value || '(unknown)',
+          date: headers.find(h => h.name === 'Date')?.value || '',
+          snippet: resp.data.snippet || '',
+          internalDate: resp.data.internalDate ? parseInt(resp.data.internalDate) : null,
+          labelIds: resp.data.labelIds || []
+        });
+      } catch (err) {
+        if (err.code === 404 || err.response?.status === 404) {
+          missing.push(id);
+        } else {
+          throw err;
+        }
+      }
+    }));
+  }
+
+  return { found, missing };
+}
+
+/**
+ * Should a message be in the index? (inbox, Primary tab)
+ */
+function belongsInIndex(message) {
+  const labels = message.labelIds || [];
+  return labels.includes('INBOX') && !labels.some(l => ['CATEGORY_PROMOTIONS', 'CATEGORY_SOCIAL', 'CATEGORY_UPDATES', 'CATEGORY_FORUMS'].includes(l));
+}
+
+/**
+ * Rebuild the user's index from scratch
+ */
+async function fullSync(userId, gmail) {
+  // Read the historyId first so changes made during the resync are picked up by the next incremental sync
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  const historyId = profile.data.historyId;
+
+  const messageIds = [];
+  let pageToken;
+  do {
+    const resp = await gmail.users.messages.list({
+      userId: 'me',
+      q: INDEX_QUERY,
+      maxResults: Math.min(100, FULL_SYNC_MAX_MESSAGES - messageIds.length),
+      ...(pageToken && { pageToken })
+    });
+    (resp.data.messages || []).forEach(m => messageIds.push(m.id));
+    pageToken = resp.data.nextPageToken;
+  } while (pageToken && messageIds.length < FULL_SYNC_MAX_MESSAGES);
+
+  const { found } = await fetchMetadata(gmail, messageIds);
+
+  await db.mailboxMessages.deleteAllForUser(userId);
+  await db.mailboxMessages.upsertMany(userId, found);
+
+  return { mode: 'full', historyId, added: found.map(m => m.id), removed: [], updated: [] };
+}
+
+/**
+ * Apply changes since the stored historyId
+ * Throws an error with code 404 when the historyId is too old (caller falls back to a full sync)
+ */
+async function incrementalSync(userId, gmail, startHistoryId) {
+  const added = new Set();
+  const removed = new Set();
+  const relabeled = new Set();
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const resp = await gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+      ...(pageToken && { pageToken })
+    });
+
+    (resp.data.history || []).forEach(entry => {
+      (entry.messagesAdded || []).forEach(({ message }) => added.add(message.id));
+      (entry.messagesDeleted || []).forEach(({ message }) => removed.add(message.id));
+      (entry.labelsAdded || []).forEach(({ message }) => relabeled.add(message.id));
+      (entry.labelsRemoved || []).forEach(({ message }) => relabeled.add(message.id));
+    });
+
+    historyId = resp.data.historyId || historyId;
+    pageToken = resp.data.nextPageToken;
+  } while (pageToken);
+
+  removed.forEach(id => {
+    added.delete(id);
+    relabeled.delete(id);
+  });
+
+  // Re-read added and relabeled messages; anything no longer in the inbox leaves the index
+  const toFetch = [...new Set([...added, ...relabeled])];
+  const { found, missing } = await fetchMetadata(gmail, toFetch);
+  const indexed = found.filter(belongsInIndex);
+  const leaving = found.filter(m => !belongsInIndex(m)).map(m => m.id);
+
+  await db.mailboxMessages.upsertMany(userId, indexed);
+  await db.mailboxMessages.deleteMany(userId, [...removed, ...missing, ...leaving]);
+
+  return {
+    mode: 'incremental',
+    historyId,
+    added: indexed.filter(m => added.has(m.id)).map(m => m.id),
+    removed: [...removed, ...missing, ...leaving],
+    updated: indexed.filter(m => !added.has(m.id)).map(m => m.id)
+  };
+}
+
+async function runSync(userId, { full = false } = {}) {
+  const oauth2Client = await gmailService.getAuthenticatedClient(userId);
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  const state = await db.syncState.get(userId);
+
+  let result;
+  try {
+    if (full || !state?.historyId) {
+      result = await fullSync(userId, gmail);
+    } else {
+      try {
+        result = await incrementalSync(userId, gmail, state.historyId);
+      } catch (err) {
+        // Gmail only keeps history for a limited time; an expired historyId returns 404
+        if (err.code !== 404 && err.response?.status !== 404) throw err;
+        result = await fullSync(userId, gmail);
+        result.fallback = 'historyId expired';
+      }
+    }
+  } catch (err) {
+    await db.syncState.update(userId, { status: 'error', lastError: err.message });
+    throw err;
+  }
+
+  await db.syncState.update(userId, {
+    historyId: result.historyId,
+    status: 'ok',
+    full: result.mode === 'full'
+  });
+
+  return result;
+}
+
+/**
+ * syncMailbox - bring the user's local message index up to date.
+ * Uses users.history.list from the last stored historyId, falling back to a full resync
+ * when there is no historyId yet or it has expired.
+ * Options: { full } - force a full resync
+ * Returns: { mode: 'full'|'incremental', historyId, added, removed, updated, fallback? }
+ */
+async function syncMailbox(userId, options = {}) {
+  if (running.has(userId)) {
+    return running.get(userId);
+  }
+
+  const promise = runSync(userId, options).finally(() => running.delete(userId));
+  running.set(userId, promise);
+  return promise;
+}
+
+/**
+ * listIndexedMessages - one page of the user's local index, newest first.
+ * Options: { q, after, before, pageSize, pageToken } (pageToken is an opaque offset)
+ * Returns: { messages, nextPageToken, resultSizeEstimate, pageSize, lastSyncedAt }
+ */
+async function listIndexedMessages(userId, options = {}) {
+  const pageSize = options.pageSize === undefined ? 50 : parseInt(options.pageSize, 10);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+    throw new Error('Invalid pageSize: must be between 1 and 100');
+  }
+  const offset = options.pageToken ? parseInt(options.pageToken, 10) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Invalid pageToken');
+  }
+
+  const toMillis = (value, name) => {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new Error(`Invalid ${name} date: "${value}". Use an ISO date such as 2024-01-31.`);
+    return time;
+  };
+
+  const user = await db.users.findById(userId, true);
+  const state = await db.syncState.get(userId);
+  const { messages, total } = await db.mailboxMessages.list(userId, {
+    q: options.q ? String(options.q).trim() : null,
+    after: toMillis(options.after, 'after'),
+    before: toMillis(options.before, 'before'),
+    limit: pageSize,
+    offset
+  });
+
+  return {
+    // Same safety filters as the live list
+    messages: messages.filter(m => gmailService.isListableSender(m.from, user?.email)),
+    nextPageToken: offset + pageSize < total ? String(offset + pageSize) : null,
+    resultSizeEstimate: total,
+    pageSize,
+    lastSyncedAt: state?.lastSyncedAt || null
+  };
+}
+
+module.exports = { syncMailbox, listIndexedMessages };
@@ -0,0 +1,46 @@
+const db = require('../utils/db');
+const { DEFAULT_TAXONOMY } = require('../utils/classificationSchema');
+
+const FALLBACK_CATEGORY = DEFAULT_TAXONOMY.find(category => category.name === 'Other');
+
+/**
+ * getTaxonomy - returns the categories used to classify a user's email.
+ * Users without their own categories get the default taxonomy. An "Other" bucket is always
+ * available so the model never has to force an email into an unrelated category.
+ * Returns: { categories: [{ name, description, examples, defaultAction }], isDefault }
+ */
+async function getTaxonomy(userId) {
+  const userCategories = userId ? await db.categories.listByUser(userId) : [];
+
+  if (userCategories.length === 0) {
+    return { categories: DEFAULT_TAXONOMY, isDefault: true };
+  }
+
+  const categories = userCategories.map(({ name, description, examples, defaultAction }) => ({
+    name,
+    description,
+    examples,
+    defaultAction
+  }));
+
+  if (!categories.some(category => category.name.toLowerCase() === 'other')) {
+    categories.push(FALLBACK_CATEGORY);
+  }
+
+  return { categories, isDefault: false };
+}
+
+/**
+ * formatTaxonomy - renders a taxonomy as a prompt section, one category per line.
+ */
+function formatTaxonomy(categories) {
+  return categories.map(category => {
+    const parts = [`- "${category.name}"`];
+    if (category.description) parts.push(`: ${category.description}`);
+    if (category.examples?.length) parts.push(` (examples: ${category.examples.map(e => `"${e}"`).join(', ')})`);
+    if (category.defaultAction) parts.push(` [default action: ${category.defaultAction}]`);
+    return parts.join('');
+  }).join('\n');
+}
+
+module.exports = { getTaxonomy, formatTaxonomy };
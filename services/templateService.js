@@ -0,0 +1,45 @@
+/**
+ * Reply templates
+ * Fills a user's canned responses for a message and finds the template linked to a category.
+ */
+
+const db = require('../utils/db');
+const taxonomyService = require('./taxonomyService');
+const { templateValues, renderTemplate } = require('../utils/replyTemplates');
+
+/**
+ * renderForMessage - a template filled in for a reply to the given message.
+ * Returns: { template: { id, name }, text }
+ */
+async function renderForMessage(userId, templateId, message) {
+  const template = await db.replyTemplates.findById(userId, templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  const user = await db.users.findById(userId, true);
+  const text = renderTemplate(template.body, templateValues(message, user || {}));
+  return { template: { id: template.id, name: template.name }, text };
+}
+
+/**
+ * suggestForCategory - the template linked to a classification category.
+ * Returns: { id, name } or null
+ */
+async function suggestForCategory(userId, category) {
+  if (!category) return null;
+  const template = await db.replyTemplates.findByCategory(userId, category);
+  return template ? { id: template.id, name: template.name } : null;
+}
+
+/**
+ * matchCategory - the name of the user's classification category matching `name` (case-insensitive).
+ * Returns: the category's own spelling, or null if the user's taxonomy has no such category
+ */
+async function matchCategory(userId, name) {
+  const { categories } = await taxonomyService.getTaxonomy(userId);
+  const match = categories.find(category => category.name.toLowerCase() === name.toLowerCase());
+  return match ? match.name : null;
+}
+
+module.exports = { renderForMessage, suggestForCategory, matchCategory };
@@ -0,0 +1,208 @@
+/**
+ * LLM usage service
+ * Records the tokens and estimated cost of every LLM call per user and task, and enforces
+ * per-user daily / monthly budgets (UTC days and months). A user over budget gets an error with
+ * code 'LLM_BUDGET_EXCEEDED' instead of a model call. Budgets come from the user's settings
+ * (set by an operator) or the LLM_DAILY_BUDGET_USD / LLM_MONTHLY_BUDGET_USD defaults.
+ */
+
+const db = require('../utils/db');
+const { estimateCost } = require('./llm/pricing');
+
+function readBudget(value) {
+  const parsed = parseFloat(value);
+  return parsed > 0 ? parsed : null;
+}
+
+const DEFAULT_DAILY_BUDGET_USD = readBudget(process.env.LLM_DAILY_BUDGET_USD);
+const DEFAULT_MONTHLY_BUDGET_USD = readBudget(process.env.LLM_MONTHLY_BUDGET_USD);
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Models already reported as having no price
+const unpricedModels = new Set();
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthStart(date) {
+  return `${toDay(date).slice(0, 7)}-01`;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * budgetsFor - budgets that apply to a user (null = unlimited).
+ * Returns: { dailyUsd, monthlyUsd }
+ */
+function budgetsFor(settings) {
+  return {
+    dailyUsd: settings?.llmDailyBudgetUsd > 0 ? settings.llmDailyBudgetUsd : DEFAULT_DAILY_BUDGET_USD,
+    monthlyUsd: settings?.llmMonthlyBudgetUsd > 0 ? settings.llmMonthlyBudgetUsd : DEFAULT_MONTHLY_BUDGET_USD
+  };
+}
+
+/**
+ * Spend today and this month, and when each period resets
+ */
+async function currentSpend(userId, now = new Date()) {
+  const [todayUsd, monthUsd] = await Promise.all([
+    db.llmUsage.costSince(userId, toDay(now)),
+    db.llmUsage.costSince(userId, monthStart(now))
+  ]);
+  return {
+    todayUsd: roundUsd(todayUsd),
+    monthUsd: roundUsd(monthUsd),
+    dailyResetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+    monthlyResetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+/**
+ * assertWithinBudget - throw before a model call if the user has used up a budget.
+ * The check runs before each call, so the last call of a period can take a user slightly over.
+ * settings: the user's settings row (already loaded by the caller)
+ * Throws: Error with code 'LLM_BUDGET_EXCEEDED', period ('daily' | 'monthly') and resetsAt
+ */
+async function assertWithinBudget(userId, settings) {
+  const { dailyUsd, monthlyUsd } = budgetsFor(settings);
+  if (!userId || (dailyUsd === null && monthlyUsd === null)) return;
+
+  const spend = await currentSpend(userId);
+  const exceeded = monthlyUsd !== null && spend.monthUsd >= monthlyUsd
+    ? { period: 'monthly', budget: monthlyUsd, spent: spend.monthUsd, resetsAt: spend.monthlyResetsAt }
+    : dailyUsd !== null && spend.todayUsd >= dailyUsd
+      ? { period: 'daily', budget: dailyUsd, spent: spend.todayUsd, resetsAt: spend.dailyResetsAt }
+      : null;
+  if (!exceeded) return;
+
+  const error = new Error(
+    `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} AI usage budget of $${exceeded.budget.toFixed(2)} reached ` +
+    `($${exceeded.spent.toFixed(2)} used). It resets at ${exceeded.resetsAt.toISOString()}.`
+  );
+  error.code = 'LLM_BUDGET_EXCEEDED';
+  error.period = exceeded.period;
+  error.resetsAt = exceeded.resetsAt;
+  throw error;
+}
+
+/**
+ * recordUsage - store the tokens and estimated cost of a finished call.
+ * result: llm.run result ({ provider, model, usage })
+ * Failures are logged, never thrown: losing a usage row must not fail the user's request.
+ */
+async function recordUsage(userId, task, result) {
+  if (!userId) return;
+  try {
+    const usage = result.usage || {};
+    const { costUsd, priced } = estimateCost(result.provider, result.model, usage);
+    if (!priced && !unpricedModels.has(result.model)) {
+      unpricedModels.add(result.model);
+      console.warn(`[LLM Usage] No price for model "${result.model}"; charging the highest known rate (set LLM_PRICING)`);
+    }
+    await db.llmUsage.record(userId, {
+      task,
+      provider: result.provider,
+      model: result.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      costUsd,
+      usageDate: toDay(new Date())
+    });
+  } catch (err) {
+    console.error(`[LLM Usage] Failed to record ${task} usage for ${userId}:`, err.message);
+  }
+}
+
+function parseDay(value, field) {
+  const date = new Date(`${value}T00:00:00Z`);
+  // Rejects impossible dates such as 2024-02-30 as well as other formats
+  if (!DATE_PATTERN.test(value || '') || Number.isNaN(date.getTime()) || toDay(date) !== value) {
+    throw new Error(`Invalid ${field}: use a date such as 2024-01-31`);
+  }
+  return value;
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, row) {
+  target.calls += row.calls;
+  target.promptTokens += row.promptTokens;
+  target.completionTokens += row.completionTokens;
+  target.costUsd = roundUsd(target.costUsd + row.costUsd);
+}
+
+/**
+ * getUsage - a user's usage between two UTC days (inclusive; default the last 30 days).
+ * Returns: { from, to, totals, byTask, days: [{ date, ...totals, byTask }], budget }
+ *   totals  - { calls, promptTokens, completionTokens, costUsd }
+ *   byTask  - { classify: totals, generate: totals } (tasks with no calls are left out)
+ *   days    - every day in the range, including days without calls
+ *   budget  - { dailyUsd, monthlyUsd, spentTodayUsd, spentThisMonthUsd, dailyResetsAt, monthlyResetsAt }
+ */
+async function getUsage(userId, { from, to } = {}) {
+  const now = new Date();
+  const toDate = to ? parseDay(to, 'to') : toDay(now);
+  const fromDate = from ? parseDay(from, 'from') : toDay(new Date(Date.parse(toDate) - 29 * DAY_MS));
+  const rangeDays = (Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS + 1;
+  if (rangeDays < 1 || rangeDays > MAX_RANGE_DAYS) {
+    throw new Error(`Invalid range: from must not be after to, and the range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const [rows, settings, spend] = await Promise.all([
+    db.llmUsage.dailyTotals(userId, fromDate, toDate),
+    db.userSettings.get(userId),
+    currentSpend(userId, now)
+  ]);
+
+  const days = new Map();
+  for (let i = 0; i < rangeDays; i++) {
+    const date = toDay(new Date(Date.parse(fromDate) + i * DAY_MS));
+    days.set(date, { date, ...emptyTotals(), byTask: {} });
+  }
+
+  const totals = emptyTotals();
+  const byTask = {};
+  for (const { date, task, ...row } of rows) {
+    const day = days.get(date);
+    if (!day) continue;
+    addTotals(day, row);
+    day.byTask[task] = day.byTask[task] || emptyTotals();
+    addTotals(day.byTask[task], row);
+    byTask[task] = byTask[task] || emptyTotals();
+    addTotals(byTask[task], row);
+    addTotals(totals, row);
+  }
+
+  const { dailyUsd, monthlyUsd } = budgetsFor(settings);
+  return {
+    from: fromDate,
+    to: toDate,
+    totals,
+    byTask,
+    days: [...days.values()],
+    budget: {
+      dailyUsd,
+      monthlyUsd,
+      spentTodayUsd: spend.todayUsd,
+      spentThisMonthUsd: spend.monthUsd,
+      dailyResetsAt: spend.dailyResetsAt,
+      monthlyResetsAt: spend.monthlyResetsAt
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DAILY_BUDGET_USD,
+  DEFAULT_MONTHLY_BUDGET_USD,
+  budgetsFor,
+  assertWithinBudget,
+  recordUsage,
+  getUsage
+};
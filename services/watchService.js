@@ -0,0 +1,92 @@
+const { google } = require('googleapis');
+const db = require('../utils/db');
+const gmailService = require('./gmailService');
+const syncService = require('./syncService');
+
+// Pub/Sub topic Gmail publishes to, e.g. projects/my-project/topics/gmail-push
+const PUBSUB_TOPIC = process.env.GMAIL_PUBSUB_TOPIC;
+// Watches last 7 days; renew the ones expiring within this window
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+const RENEW_INTERVAL_MS = (parseInt(process.env.GMAIL_WATCH_RENEW_INTERVAL_MINUTES, 10) || 360) * 60 * 1000;
+
+let renewTimer = null;
+
+/**
+ * startWatch - register (or renew) a Gmail push watch on the user's inbox.
+ * Returns: { historyId, expiration }
+ */
+async function startWatch(userId) {
+  if (!PUBSUB_TOPIC) {
+    throw new Error('GMAIL_PUBSUB_TOPIC is required to register Gmail push notifications');
+  }
+
+  // Pushes are applied as incremental syncs, which need a starting historyId
+  const state = await db.syncState.get(userId);
+  if (!state?.historyId) {
+    await syncService.syncMailbox(userId);
+  }
+
+  const oauth2Client = await gmailService.getAuthenticatedClient(userId);
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  const resp = await gmail.users.watch({
+    userId: 'me',
+    requestBody: {
+      topicName: PUBSUB_TOPIC,
+      labelIds: ['INBOX'],
+      labelFilterBehavior: 'include'
+    }
+  });
+
+  const expiration = resp.data.expiration ? parseInt(resp.data.expiration) : null;
+  await db.syncState.updateWatch(userId, expiration);
+
+  return { historyId: resp.data.historyId, expiration };
+}
+
+/**
+ * stopWatch - stop push notifications for the user.
+ */
+async function stopWatch(userId) {
+  const oauth2Client = await gmailService.getAuthenticatedClient(userId);
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  await gmail.users.stop({ userId: 'me' });
+  await db.syncState.updateWatch(userId, null);
+}
+
+/**
+ * renewExpiringWatches - renew every watch that expires within RENEW_BEFORE_MS.
+ * Returns: { renewed, failed }
+ */
+async function renewExpiringWatches() {
+  const userIds = await db.syncState.findExpiringWatches(Date.now() + RENEW_BEFORE_MS);
+  let renewed = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    try {
+      await startWatch(userId);
+      renewed++;
+    } catch (err) {
+      failed++;
+      console.error(`[Gmail Watch] Renewal failed for ${userId}:`, err.message);
+    }
+  }
+
+  return { renewed, failed };
+}
+
+/**
+ * startWatchRenewal - periodically renew expiring watches (no-op without GMAIL_PUBSUB_TOPIC).
+ */
+function startWatchRenewal() {
+  if (!PUBSUB_TOPIC || renewTimer) return;
+
+  const run = () => renewExpiringWatches().catch(err => {
+    console.error('[Gmail Watch] Renewal run failed:', err.message);
+  });
+  renewTimer = setInterval(run, RENEW_INTERVAL_MS);
+  renewTimer.unref();
+  run();
+}
+
+module.exports = { startWatch, stopWatch, renewExpiringWatches, startWatchRenewal };
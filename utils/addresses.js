@@ -0,0 +1,124 @@
+/**
+ * Email address header utilities
+ * Parses and formats address lists such as `"Doe, Jane" <jane@example.com>, bob@example.com`
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+/**
+ * Split an address list on commas/semicolons that are not inside quotes or angle brackets
+ * @param {string} value - Header value
+ * @returns {string[]} - Individual address strings
+ */
+function splitAddressList(value) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && inQuotes && i + 1 < value.length) {
+      current += char + value[++i];
+      continue;
+    }
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === '<' && !inQuotes) inAngle = true;
+    else if (char === '>' && !inQuotes) inAngle = false;
+
+    if ((char === ',' || char === ';') && !inQuotes && !inAngle) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a single address
+ * @param {string} value - e.g. `Jane Doe <jane@example.com>` or `jane@example.com`
+ * @returns {{ name: string, email: string }|null} - Email is lower-cased; null if no valid address
+ */
+function parseAddress(value) {
+  const text = String(value || '').trim();
+  const angle = text.match(/^(.*)<([^>]+)>\s*$/);
+  const email = (angle ? angle[2] : text).trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) return null;
+
+  const name = angle
+    ? angle[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1')
+    : '';
+  return { name, email };
+}
+
+/**
+ * Parse an address list header (To, Cc, Reply-To...)
+ * Invalid entries are skipped
+ * @param {string} value - Header value
+ * @returns {Array<{ name: string, email: string }>}
+ */
+function parseAddressList(value) {
+  if (!value) return [];
+  return splitAddressList(String(value)).map(parseAddress).filter(Boolean);
+}
+
+/**
+ * Parse caller-supplied recipients (array or comma-separated string)
+ * Unlike parseAddressList, invalid entries are an error
+ * @param {string|string[]} value
+ * @param {string} field - Field name for error messages
+ * @returns {Array<{ name: string, email: string }>}
+ */
+function parseRecipientsInput(value, field) {
+  const entries = Array.isArray(value) ? value : splitAddressList(String(value || ''));
+  return entries.map(entry => {
+    const address = typeof entry === 'string' ? parseAddress(entry) : null;
+    if (!address) {
+      throw new Error(`Invalid ${field} recipient: ${JSON.stringify(entry)}`);
+    }
+    return address;
+  });
+}
+
+/**
+ * Format an address for a header, quoting the display name when needed
+ */
+function formatAddress({ name, email }) {
+  if (!name) return email;
+  const needsQuotes = /[",;<>@()[\]:\\.]/.test(name);
+  return needsQuotes ? `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>` : `${name} <${email}>`;
+}
+
+/**
+ * Format an address list for a header
+ */
+function formatAddressList(addresses) {
+  return addresses.map(formatAddress).join(', ');
+}
+
+/**
+ * Remove excluded addresses and duplicates (by email, first occurrence wins)
+ * @param {Array<{ name: string, email: string }>} addresses
+ * @param {Set<string>} exclude - Lower-cased emails to drop; kept emails are added to it
+ */
+function dedupeAddresses(addresses, exclude = new Set()) {
+  return addresses.filter(address => {
+    if (exclude.has(address.email)) return false;
+    exclude.add(address.email);
+    return true;
+  });
+}
+
+module.exports = {
+  splitAddressList,
+  parseAddress,
+  parseAddressList,
+  parseRecipientsInput,
+  formatAddress,
+  formatAddressList,
+  dedupeAddresses
+};
@@ -0,0 +1,115 @@
+/**
+ * Classification output schema
+ * Parses and validates the model's JSON classification, repairing small deviations
+ */
+
+/**
+ * Default taxonomy, used for users who have not defined their own categories
+ */
+const DEFAULT_TAXONOMY = [
+  { name: 'Invoice', description: 'Bills, invoices and payment requests', examples: ['Please find attached invoice #1042', 'Payment due by Friday'], defaultAction: 'Forward to accounts payable' },
+  { name: 'Leave Request', description: 'Requests for vacation, sick leave or time off', examples: ['I would like to take leave next week'], defaultAction: 'Approve or decline the leave request' },
+  { name: 'Support Request', description: 'Customers or colleagues asking for help with a problem', examples: ['The app is not working', 'I need help resetting my password'], defaultAction: 'Open a support ticket' },
+  { name: 'Meeting Request', description: 'Invitations or requests to schedule a meeting or call', examples: ['Can we meet on Tuesday?', 'Are you free for a quick call?'], defaultAction: 'Check availability and respond' },
+  { name: 'Purchase Order', description: 'Purchase orders and order confirmations', examples: ['Attached is PO #5531'], defaultAction: 'Review and confirm the purchase order' },
+  { name: 'Spam', description: 'Unsolicited bulk mail, scams and phishing', examples: ['You are our lucky winner'], defaultAction: 'Mark as spam' },
+  { name: 'Other', description: 'Anything that does not fit another category', examples: [], defaultAction: 'Review manually' }
+];
+
+const DEFAULT_CATEGORIES = DEFAULT_TAXONOMY.map(category => category.name);
+
+const MAX_ACTION_LENGTH = 200;
+const MAX_JUSTIFICATION_LENGTH = 500;
+
+/**
+ * Pull the JSON object out of a model response
+ * Handles Markdown code fences and leading/trailing prose
+ * @param {string} text - Raw model output
+ * @returns {object|null} - Parsed object, or null if no JSON object could be parsed
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const cleanText = text.replace(/```json|```/g, '').trim();
+  const start = cleanText.indexOf('{');
+  const end = cleanText.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(cleanText.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a confidence value to a number between 0 and 1
+ * Accepts numeric strings and percentages (e.g. 85 or "85%")
+ */
+function normalizeConfidence(value) {
+  let confidence = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence)) return null;
+  if (confidence > 1 && confidence <= 100) confidence = confidence / 100;
+  if (confidence < 0 || confidence > 1) return null;
+  return Math.round(confidence * 1000) / 1000;
+}
+
+/**
+ * Validate a parsed classification against the schema
+ * @param {object} candidate - Parsed model output
+ * @param {string[]} categories - Allowed category names
+ * @returns {{ value: object|null, errors: string[] }}
+ */
+function validateClassification(candidate, categories = DEFAULT_CATEGORIES) {
+  const errors = [];
+  if (!candidate) {
+    return { value: null, errors: ['Output is not a JSON object'] };
+  }
+
+  // Match categories case-insensitively and map back to the canonical name
+  const rawCategory = typeof candidate.category === 'string' ? candidate.category.trim() : '';
+  const category = categories.find(c => c.toLowerCase() === rawCategory.toLowerCase());
+  if (!category) {
+    errors.push(`category must be one of: ${categories.join(', ')}`);
+  }
+
+  const action = typeof candidate.action === 'string' ? candidate.action.trim() : '';
+  if (!action || action.length > MAX_ACTION_LENGTH) {
+    errors.push(`action must be a non-empty string (max ${MAX_ACTION_LENGTH} characters)`);
+  }
+
+  const justification = typeof candidate.justification === 'string' ? candidate.justification.trim() : '';
+  if (!justification || justification.length > MAX_JUSTIFICATION_LENGTH) {
+    errors.push(`justification must be a non-empty string (max ${MAX_JUSTIFICATION_LENGTH} characters)`);
+  }
+
+  const confidence = normalizeConfidence(candidate.confidence);
+  if (confidence === null) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return { value: { category, action, justification, confidence }, errors };
+}
+
+/**
+ * Parse and validate raw model output in one step
+ * @param {string} text - Raw model output
+ * @param {string[]} categories - Allowed category names
+ * @returns {{ value: object|null, errors: string[] }}
+ */
+function parseClassification(text, categories = DEFAULT_CATEGORIES) {
+  return validateClassification(extractJson(text), categories);
+}
+
+module.exports = {
+  DEFAULT_TAXONOMY,
+  DEFAULT_CATEGORIES,
+  extractJson,
+  validateClassification,
+  parseClassification
+};
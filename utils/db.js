@@ -72,14 +72,14 @@ const users = {
    */
   async create(userData) {
     const pool = getPool();
-    const { id, tokens, createdAt } = userData;
+    const { id, tokens, createdAt, googleSub, email, displayName } = userData;
     
     // Encrypt sensitive token fields
     const encryptedTokens = encryptObject(tokens);
     
     const query = `
-      INSERT INTO users (id, access_token, refresh_token, token_type, scope, id_token, expiry_date, refresh_token_expires_in, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO users (id, access_token, refresh_token, token_type, scope, id_token, expiry_date, refresh_token_expires_in, google_sub, email, display_name, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await pool.execute(query, [
@@ -91,10 +91,13 @@ const users = {
       encryptedTokens.id_token,
       tokens.expiry_date || null,
       tokens.refresh_token_expires_in || null,
+      googleSub || null,
+      email || null,
+      displayName || null,
       createdAt ? new Date(createdAt) : new Date()
     ]);
     
-    return { id, tokens, createdAt };
+    return { id, tokens, createdAt, googleSub, email, displayName };
   },
   
   /**
@@ -133,11 +136,60 @@ const users = {
     return {
       id: user.id,
       tokens: decryptedTokens,
+      googleSub: user.google_sub,
+      email: user.email,
+      displayName: user.display_name,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
   },
   
+  /**
+   * Find user by Google account subject ID
+   * @param {string} googleSub - Google `sub` claim from the id_token
+   * @param {boolean} silent - If true, suppress decryption warnings (default: false)
+   */
+  async findByGoogleSub(googleSub, silent = false) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT id FROM users WHERE google_sub = ? LIMIT 1', [googleSub]);
+    
+    if (rows.length === 0) return null;
+    
+    return this.findById(rows[0].id, silent);
+  },
+  
+  /**
+   * Find user by email address (most recently updated row if several match)
+   * @param {string} email - Email address
+   * @param {boolean} silent - If true, suppress decryption warnings (default: false)
+   */
+  async findByEmail(email, silent = false) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT id FROM users WHERE email = ? ORDER BY updated_at DESC LIMIT 1',
+      [email]
+    );
+    
+    if (rows.length === 0) return null;
+    
+    return this.findById(rows[0].id, silent);
+  },
+  
+  /**
+   * Update the Google account identity linked to a user
+   */
+  async updateIdentity(userId, identity) {
+    const pool = getPool();
+    const { googleSub, email, displayName } = identity;
+    
+    await pool.execute(
+      'UPDATE users SET google_sub = ?, email = ?, display_name = ?, updated_at = NOW() WHERE id = ?',
+      [googleSub || null, email || null, displayName || null, userId]
+    );
+    
+    return { id: userId, googleSub, email, displayName };
+  },
+  
   /**
    * Update user tokens
    */
@@ -204,6 +256,9 @@ const users = {
       return {
         id: user.id,
         tokens: decryptedTokens,
+        googleSub: user.google_sub,
+        email: user.email,
+        displayName: user.display_name,
         createdAt: user.created_at,
         updatedAt: user.updated_at
       };
@@ -233,17 +288,1346 @@ const users = {
     return {
       id: user.id,
       tokens: decryptedTokens,
+      googleSub: user.google_sub,
+      email: user.email,
+      displayName: user.display_name,
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
   }
 };
 
+/**
+ * Sessions operations
+ */
+const sessions = {
+  /**
+   * Create a new session
+   */
+  async create(sessionData) {
+    const pool = getPool();
+    const { id, userId, expiresAt, userAgent, ipAddress } = sessionData;
+    
+    await pool.execute(
+      'INSERT INTO sessions (id, user_id, expires_at, user_agent, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [id, userId, expiresAt, userAgent ? userAgent.slice(0, 255) : null, ipAddress || null]
+    );
+    
+    return { id, userId, expiresAt };
+  },
+  
+  /**
+   * Find a session that is neither revoked nor expired
+   */
+  async findActive(sessionId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+      [sessionId]
+    );
+    
+    if (rows.length === 0) return null;
+    
+    const session = rows[0];
+    return {
+      id: session.id,
+      userId: session.user_id,
+      expiresAt: session.expires_at,
+      createdAt: session.created_at
+    };
+  },
+  
+  /**
+   * Revoke a single session
+   */
+  async revoke(sessionId) {
+    const pool = getPool();
+    await pool.execute('UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+  }
+};
+
+/**
+ * OAuth state operations
+ */
+const oauthStates = {
+  /**
+   * Store a pending OAuth state nonce
+   */
+  async create(stateData) {
+    const pool = getPool();
+    const { id, userId, sessionId, expiresAt } = stateData;
+    
+    await pool.execute(
+      'INSERT INTO oauth_states (id, user_id, session_id, expires_at) VALUES (?, ?, ?, ?)',
+      [id, userId || null, sessionId || null, expiresAt]
+    );
+    
+    return { id, userId, sessionId, expiresAt };
+  },
+  
+  /**
+   * Atomically mark a state as used
+   * Returns the state only if it was unused and unexpired, null otherwise
+   */
+  async consume(stateId) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE oauth_states SET used_at = NOW() WHERE id = ? AND used_at IS NULL AND expires_at > NOW()',
+      [stateId]
+    );
+    
+    if (result.affectedRows !== 1) return null;
+    
+    const [rows] = await pool.execute('SELECT * FROM oauth_states WHERE id = ?', [stateId]);
+    if (rows.length === 0) return null;
+    
+    return {
+      id: rows[0].id,
+      userId: rows[0].user_id,
+      sessionId: rows[0].session_id
+    };
+  }
+};
+
+/**
+ * User settings operations
+ * Maps API field names to user_settings columns; unset fields are null (use defaults)
+ */
+const USER_SETTINGS_COLUMNS = {
+  llmProvider: 'llm_provider',
+  llmModel: 'llm_model',
+  autoTriageEnabled: 'auto_triage_enabled',
+  autoTriageCategories: 'auto_triage_categories',
+  defaultReplyMode: 'default_reply_mode',
+  undoSendSeconds: 'undo_send_seconds',
+  llmDailyBudgetUsd: 'llm_daily_budget_usd',
+  llmMonthlyBudgetUsd: 'llm_monthly_budget_usd'
+};
+
+// Settings stored as JSON text / TINYINT flags / DECIMAL (returned by mysql2 as strings)
+const JSON_SETTINGS = ['autoTriageCategories'];
+const BOOLEAN_SETTINGS = ['autoTriageEnabled'];
+const DECIMAL_SETTINGS = ['llmDailyBudgetUsd', 'llmMonthlyBudgetUsd'];
+
+function toSettingValue(field, value) {
+  if (JSON_SETTINGS.includes(field)) return parseJson(value, null);
+  if (BOOLEAN_SETTINGS.includes(field)) return Boolean(value);
+  if (DECIMAL_SETTINGS.includes(field)) return value === null || value === undefined ? null : parseFloat(value);
+  return value;
+}
+
+function toSettingColumnValue(field, value) {
+  if (value === undefined || value === null) return BOOLEAN_SETTINGS.includes(field) ? 0 : null;
+  if (JSON_SETTINGS.includes(field)) return JSON.stringify(value);
+  if (BOOLEAN_SETTINGS.includes(field)) return value ? 1 : 0;
+  return value;
+}
+
+const userSettings = {
+  /**
+   * Get settings for a user (null if the user never saved any)
+   */
+  async get(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM user_settings WHERE user_id = ?', [userId]);
+    
+    if (rows.length === 0) return null;
+    
+    const settings = { userId };
+    Object.entries(USER_SETTINGS_COLUMNS).forEach(([field, column]) => {
+      settings[field] = toSettingValue(field, rows[0][column]);
+    });
+    settings.updatedAt = rows[0].updated_at;
+    return settings;
+  },
+  
+  /**
+   * Create or update settings for a user
+   * @param {string} userId - User ID
+   * @param {object} fields - Subset of USER_SETTINGS_COLUMNS keys to set
+   */
+  async update(userId, fields) {
+    const pool = getPool();
+    const entries = Object.entries(fields).filter(([field]) => USER_SETTINGS_COLUMNS[field]);
+    
+    if (entries.length === 0) return this.get(userId);
+    
+    const columns = entries.map(([field]) => USER_SETTINGS_COLUMNS[field]);
+    const values = entries.map(([field, value]) => toSettingColumnValue(field, value));
+    
+    const query = `
+      INSERT INTO user_settings (user_id, ${columns.join(', ')})
+      VALUES (?, ${columns.map(() => '?').join(', ')})
+      ON DUPLICATE KEY UPDATE ${columns.map(column => `${column} = VALUES(${column})`).join(', ')}
+    `;
+    
+    await pool.execute(query, [userId, ...values]);
+    return this.get(userId);
+  },
+  
+  /**
+   * IDs of users who opted in to background auto-triage
+   */
+  async findAutoTriageUserIds() {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT user_id FROM user_settings WHERE auto_triage_enabled = 1');
+    return rows.map(row => row.user_id);
+  }
+};
+
+/**
+ * Safe JSON parse helper - returns fallback for empty or malformed values
+ */
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Categories operations (per-user classification taxonomy)
+ */
+function mapCategoryRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    examples: parseJson(row.examples, []),
+    defaultAction: row.default_action,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const categories = {
+  /**
+   * List a user's categories in creation order
+   */
+  async listByUser(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM categories WHERE user_id = ? ORDER BY id ASC', [userId]);
+    return rows.map(mapCategoryRow);
+  },
+  
+  /**
+   * Find a category owned by a user
+   */
+  async findById(userId, categoryId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM categories WHERE id = ? AND user_id = ?', [categoryId, userId]);
+    return rows.length === 0 ? null : mapCategoryRow(rows[0]);
+  },
+  
+  /**
+   * Create a category
+   */
+  async create(userId, category) {
+    const pool = getPool();
+    const { name, description, examples, defaultAction } = category;
+    
+    const [result] = await pool.execute(
+      'INSERT INTO categories (user_id, name, description, examples, default_action) VALUES (?, ?, ?, ?, ?)',
+      [userId, name, description || null, JSON.stringify(examples || []), defaultAction || null]
+    );
+    
+    return this.findById(userId, result.insertId);
+  },
+  
+  /**
+   * Update a category (only the provided fields)
+   */
+  async update(userId, categoryId, category) {
+    const pool = getPool();
+    const columns = {
+      name: category.name,
+      description: category.description,
+      examples: category.examples === undefined ? undefined : JSON.stringify(category.examples),
+      default_action: category.defaultAction
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    
+    if (entries.length > 0) {
+      await pool.execute(
+        `UPDATE categories SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+        [...entries.map(([, value]) => value), categoryId, userId]
+      );
+    }
+    
+    return this.findById(userId, categoryId);
+  },
+  
+  /**
+   * Delete a category
+   * @returns {boolean} - True if a row was deleted
+   */
+  async delete(userId, categoryId) {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM categories WHERE id = ? AND user_id = ?', [categoryId, userId]);
+    return result.affectedRows > 0;
+  }
+};
+
+/**
+ * Classifications operations (cached classification per Gmail message)
+ */
+function mapClassificationRow(row) {
+  return {
+    messageId: row.message_id,
+    status: row.status,
+    category: row.category,
+    action: row.action,
+    justification: row.justification,
+    confidence: row.confidence === null ? null : Number(row.confidence),
+    model: row.model,
+    provider: row.provider,
+    rawModelResponse: row.raw_response,
+    classifiedAt: row.updated_at || row.created_at
+  };
+}
+
+const classifications = {
+  /**
+   * Find the stored classification for one message
+   */
+  async findByMessage(userId, messageId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM classifications WHERE user_id = ? AND message_id = ? LIMIT 1',
+      [userId, messageId]
+    );
+    return rows.length === 0 ? null : mapClassificationRow(rows[0]);
+  },
+  
+  /**
+   * Find stored classifications for many messages
+   * @returns {Map<string, object>} - Classifications keyed by message ID
+   */
+  async findByMessageIds(userId, messageIds) {
+    const result = new Map();
+    if (!messageIds || messageIds.length === 0) return result;
+    
+    const pool = getPool();
+    // query() (not execute()) so the array expands into the IN list
+    const [rows] = await pool.query(
+      'SELECT * FROM classifications WHERE user_id = ? AND message_id IN (?)',
+      [userId, messageIds]
+    );
+    rows.forEach(row => result.set(row.message_id, mapClassificationRow(row)));
+    return result;
+  },
+  
+  /**
+   * Insert or replace the classification for a message
+   */
+  async upsert(userId, messageId, classification) {
+    const pool = getPool();
+    const { status, category, action, justification, confidence, model, provider, rawModelResponse } = classification;
+    
+    const query = `
+      INSERT INTO classifications (user_id, message_id, status, category, action, justification, confidence, model, provider, raw_response)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        status = VALUES(status),
+        category = VALUES(category),
+        action = VALUES(action),
+        justification = VALUES(justification),
+        confidence = VALUES(confidence),
+        model = VALUES(model),
+        provider = VALUES(provider),
+        raw_response = VALUES(raw_response),
+        updated_at = NOW()
+    `;
+    
+    await pool.execute(query, [
+      userId,
+      messageId,
+      status,
+      category || null,
+      action ? action.slice(0, 255) : null,
+      justification || null,
+      confidence ?? null,
+      model || null,
+      provider || null,
+      rawModelResponse || null
+    ]);
+    
+    return this.findByMessage(userId, messageId);
+  }
+};
+
+/**
+ * Mailbox index operations (local copy of inbox message metadata)
+ */
+function mapMailboxRow(row) {
+  return {
+    id: row.message_id,
+    threadId: row.thread_id,
+    subject: row.subject,
+    from: row.from_header,
+    date: row.date_header,
+    snippet: row.snippet,
+    internalDate: row.internal_date === null ? null : Number(row.internal_date),
+    labelIds: parseJson(row.label_ids, []),
+    classifyAttempts: row.classify_attempts || 0
+  };
+}
+
+const mailboxMessages = {
+  /**
+   * Insert or update indexed messages
+   */
+  async upsertMany(userId, messages) {
+    if (!messages || messages.length === 0) return 0;
+    
+    const pool = getPool();
+    const rows = messages.map(m => [
+      userId,
+      m.id,
+      m.threadId || null,
+      m.subject ? m.subject.slice(0, 998) : null,
+      m.from ? m.from.slice(0, 512) : null,
+      m.date ? m.date.slice(0, 255) : null,
+      m.snippet || null,
+      m.internalDate || null,
+      JSON.stringify(m.labelIds || [])
+    ]);
+    
+    const [result] = await pool.query(`
+      INSERT INTO mailbox_messages (user_id, message_id, thread_id, subject, from_header, date_header, snippet, internal_date, label_ids)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+        thread_id = VALUES(thread_id),
+        subject = VALUES(subject),
+        from_header = VALUES(from_header),
+        date_header = VALUES(date_header),
+        snippet = VALUES(snippet),
+        internal_date = VALUES(internal_date),
+        label_ids = VALUES(label_ids)
+    `, [rows]);
+    return result.affectedRows;
+  },
+  
+  /**
+   * Most recent indexed messages that have no stored classification yet
+   * Messages whose classification failed are skipped after maxAttempts failures, and otherwise
+   * retried only once retryAfterMinutes (doubled after each further failure) have passed.
+   */
+  async findUnclassified(userId, limit, { maxAttempts = 3, retryAfterMinutes = 60 } = {}) {
+    const pool = getPool();
+    const [rows] = await pool.query(`
+      SELECT m.* FROM mailbox_messages m
+      LEFT JOIN classifications c ON c.user_id = m.user_id AND c.message_id = m.message_id
+      WHERE m.user_id = ? AND c.id IS NULL
+        AND m.classify_attempts < ?
+        AND (m.classify_failed_at IS NULL
+          OR m.classify_failed_at < NOW() - INTERVAL (? * POW(2, m.classify_attempts - 1)) MINUTE)
+      ORDER BY m.internal_date DESC
+      LIMIT ?
+    `, [userId, maxAttempts, retryAfterMinutes, limit]);
+    return rows.map(mapMailboxRow);
+  },
+
+  /**
+   * Count a failed classification of an indexed message (no-op for messages not in the index)
+   */
+  async recordClassifyFailure(userId, messageId) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE mailbox_messages SET classify_attempts = classify_attempts + 1, classify_failed_at = NOW() WHERE user_id = ? AND message_id = ?',
+      [userId, messageId]
+    );
+  },
+  
+  /**
+   * Remove messages from the index
+   */
+  async deleteMany(userId, messageIds) {
+    if (!messageIds || messageIds.length === 0) return 0;
+    
+    const pool = getPool();
+    const [result] = await pool.query(
+      'DELETE FROM mailbox_messages WHERE user_id = ? AND message_id IN (?)',
+      [userId, messageIds]
+    );
+    return result.affectedRows;
+  },
+  
+  /**
+   * Remove a user's whole index (before a full resync)
+   */
+  async deleteAllForUser(userId) {
+    const pool = getPool();
+    await pool.execute('DELETE FROM mailbox_messages WHERE user_id = ?', [userId]);
+  },
+  
+  /**
+   * Page through a user's index, newest first
+   * @param {object} options - { q, after, before, limit, offset } (after/before in epoch milliseconds)
+   * @returns {{ messages: object[], total: number }}
+   */
+  async list(userId, options = {}) {
+    const pool = getPool();
+    const conditions = ['user_id = ?'];
+    const params = [userId];
+    
+    if (options.q) {
+      conditions.push('(subject LIKE ? OR from_header LIKE ? OR snippet LIKE ?)');
+      const like = `%${options.q}%`;
+      params.push(like, like, like);
+    }
+    if (options.after) {
+      conditions.push('internal_date >= ?');
+      params.push(options.after);
+    }
+    if (options.before) {
+      conditions.push('internal_date < ?');
+      params.push(options.before);
+    }
+    
+    const where = conditions.join(' AND ');
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM mailbox_messages WHERE ${where}`, params);
+    const [rows] = await pool.query(
+      `SELECT * FROM mailbox_messages WHERE ${where} ORDER BY internal_date DESC LIMIT ? OFFSET ?`,
+      [...params, options.limit || 50, options.offset || 0]
+    );
+    
+    return { messages: rows.map(mapMailboxRow), total: countRows[0].total };
+  }
+};
+
+/**
+ * Sync state operations (last synced Gmail historyId per user)
+ */
+const syncState = {
+  async get(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM sync_state WHERE user_id = ?', [userId]);
+    
+    if (rows.length === 0) return null;
+    
+    const row = rows[0];
+    return {
+      userId: row.user_id,
+      historyId: row.history_id,
+      status: row.status,
+      lastError: row.last_error,
+      lastSyncedAt: row.last_synced_at,
+      lastFullSyncAt: row.last_full_sync_at,
+      watchExpiration: row.watch_expiration === null ? null : Number(row.watch_expiration)
+    };
+  },
+  
+  /**
+   * Record the outcome of a sync
+   * @param {object} state - { historyId, status, lastError, full }
+   */
+  async update(userId, state) {
+    const pool = getPool();
+    const { historyId, status, lastError, full } = state;
+    
+    const query = `
+      INSERT INTO sync_state (user_id, history_id, status, last_error, last_synced_at, last_full_sync_at)
+      VALUES (?, ?, ?, ?, NOW(), ${full ? 'NOW()' : 'NULL'})
+      ON DUPLICATE KEY UPDATE
+        history_id = COALESCE(VALUES(history_id), history_id),
+        status = VALUES(status),
+        last_error = VALUES(last_error),
+        last_synced_at = NOW(),
+        last_full_sync_at = ${full ? 'NOW()' : 'last_full_sync_at'}
+    `;
+    
+    await pool.execute(query, [userId, historyId || null, status, lastError || null]);
+    return this.get(userId);
+  },
+  
+  /**
+   * Record when the user's Gmail watch expires (null after stopping it)
+   * @param {number|null} expiration - Epoch milliseconds
+   */
+  async updateWatch(userId, expiration) {
+    const pool = getPool();
+    await pool.execute(`
+      INSERT INTO sync_state (user_id, watch_expiration) VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE watch_expiration = VALUES(watch_expiration)
+    `, [userId, expiration || null]);
+  },
+  
+  /**
+   * Users whose watch expires before the given time
+   * @param {number} before - Epoch milliseconds
+   * @returns {string[]} - User IDs
+   */
+  async findExpiringWatches(before) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT user_id FROM sync_state WHERE watch_expiration IS NOT NULL AND watch_expiration < ?',
+      [before]
+    );
+    return rows.map(row => row.user_id);
+  }
+};
+
+/**
+ * Triage runs operations (background auto-triage history)
+ */
+function mapTriageRunRow(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger_source,
+    status: row.status,
+    processed: row.processed,
+    classified: row.classified,
+    labeled: row.labeled,
+    errors: parseJson(row.errors, []),
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+const triageRuns = {
+  /**
+   * Record the start of a run
+   * @returns {number} - Run ID
+   */
+  async start(userId, trigger) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'INSERT INTO triage_runs (user_id, trigger_source, status, started_at) VALUES (?, ?, ?, NOW())',
+      [userId, trigger, 'running']
+    );
+    return result.insertId;
+  },
+  
+  /**
+   * Record the outcome of a run
+   */
+  async finish(runId, outcome) {
+    const pool = getPool();
+    const { status, processed, classified, labeled, errors } = outcome;
+    await pool.execute(
+      'UPDATE triage_runs SET status = ?, processed = ?, classified = ?, labeled = ?, errors = ?, finished_at = NOW() WHERE id = ?',
+      [status, processed || 0, classified || 0, labeled || 0, JSON.stringify(errors || []), runId]
+    );
+  },
+  
+  /**
+   * Most recent runs for a user, newest first
+   */
+  async listRecent(userId, limit = 10) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      'SELECT * FROM triage_runs WHERE user_id = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+      [userId, limit]
+    );
+    return rows.map(mapTriageRunRow);
+  }
+};
+
+/**
+ * Reply drafts operations (Gmail drafts created from AI replies)
+ */
+function mapReplyDraftRow(row) {
+  return {
+    draftId: row.draft_id,
+    messageId: row.message_id,
+    threadId: row.thread_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const replyDrafts = {
+  /**
+   * Record a draft created for a message
+   */
+  async create(userId, { draftId, messageId, threadId }) {
+    const pool = getPool();
+    await pool.execute(
+      'INSERT INTO reply_drafts (draft_id, user_id, message_id, thread_id) VALUES (?, ?, ?, ?)',
+      [draftId, userId, messageId, threadId || null]
+    );
+  },
+  
+  /**
+   * Find one of the user's drafts (null if it is not theirs)
+   */
+  async findById(userId, draftId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM reply_drafts WHERE user_id = ? AND draft_id = ?',
+      [userId, draftId]
+    );
+    return rows.length > 0 ? mapReplyDraftRow(rows[0]) : null;
+  },
+  
+  /**
+   * All of the user's drafts, newest first
+   */
+  async listByUser(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM reply_drafts WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+    return rows.map(mapReplyDraftRow);
+  },
+  
+  /**
+   * Mark a draft as edited
+   */
+  async touch(userId, draftId) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE reply_drafts SET updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND draft_id = ?',
+      [userId, draftId]
+    );
+  },
+  
+  /**
+   * Forget a draft (sent, deleted, or gone from Gmail)
+   */
+  async delete(userId, draftId) {
+    const pool = getPool();
+    await pool.execute(
+      'DELETE FROM reply_drafts WHERE user_id = ? AND draft_id = ?',
+      [userId, draftId]
+    );
+  }
+};
+
+/**
+ * Reply templates operations (per-user canned responses)
+ */
+function mapReplyTemplateRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    body: row.body,
+    category: row.category,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const replyTemplates = {
+  /**
+   * List a user's templates by name
+   */
+  async listByUser(userId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM reply_templates WHERE user_id = ? ORDER BY name ASC', [userId]);
+    return rows.map(mapReplyTemplateRow);
+  },
+  
+  /**
+   * Find a template owned by a user
+   */
+  async findById(userId, templateId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM reply_templates WHERE id = ? AND user_id = ?', [templateId, userId]);
+    return rows.length === 0 ? null : mapReplyTemplateRow(rows[0]);
+  },
+  
+  /**
+   * The template linked to a classification category, if any
+   */
+  async findByCategory(userId, category) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM reply_templates WHERE user_id = ? AND category = ?', [userId, category]);
+    return rows.length === 0 ? null : mapReplyTemplateRow(rows[0]);
+  },
+  
+  /**
+   * Create a template
+   */
+  async create(userId, template) {
+    const pool = getPool();
+    const { name, body, category } = template;
+    
+    const [result] = await pool.execute(
+      'INSERT INTO reply_templates (user_id, name, body, category) VALUES (?, ?, ?, ?)',
+      [userId, name, body, category || null]
+    );
+    
+    return this.findById(userId, result.insertId);
+  },
+  
+  /**
+   * Update a template (only the provided fields)
+   */
+  async update(userId, templateId, template) {
+    const pool = getPool();
+    const entries = Object.entries({
+      name: template.name,
+      body: template.body,
+      category: template.category
+    }).filter(([, value]) => value !== undefined);
+    
+    if (entries.length > 0) {
+      await pool.execute(
+        `UPDATE reply_templates SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+        [...entries.map(([, value]) => value), templateId, userId]
+      );
+    }
+    
+    return this.findById(userId, templateId);
+  },
+  
+  /**
+   * Delete a template
+   * @returns {boolean} - True if a row was deleted
+   */
+  async delete(userId, templateId) {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM reply_templates WHERE id = ? AND user_id = ?', [templateId, userId]);
+    return result.affectedRows > 0;
+  }
+};
+
+/**
+ * Scheduled sends operations (replies queued for later delivery)
+ * Times are passed as JS Dates so they compare consistently with send_at
+ */
+function mapScheduledSendRow(row) {
+  return {
+    id: row.id,
+    messageId: row.message_id,
+    replyText: row.reply_text,
+    options: row.options === undefined ? undefined : parseJson(row.options, {}),
+    sendAt: row.send_at,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    result: parseJson(row.result, null),
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Every column except the (possibly large) options JSON
+const SCHEDULED_SEND_SUMMARY_COLUMNS = 'id, user_id, message_id, reply_text, send_at, status, attempts, next_attempt_at, last_error, result, sent_at, created_at, updated_at';
+
+const scheduledSends = {
+  /**
+   * Queue a reply
+   * @returns {number} - Job ID
+   */
+  async create(userId, { messageId, replyText, options, sendAt }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'INSERT INTO scheduled_sends (user_id, message_id, reply_text, options, send_at, next_attempt_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, messageId, replyText, JSON.stringify(options || {}), sendAt, sendAt]
+    );
+    return result.insertId;
+  },
+  
+  /**
+   * Find one of the user's jobs (without its options)
+   */
+  async findById(userId, jobId) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT ${SCHEDULED_SEND_SUMMARY_COLUMNS} FROM scheduled_sends WHERE id = ? AND user_id = ?`,
+      [jobId, userId]
+    );
+    return rows.length > 0 ? mapScheduledSendRow(rows[0]) : null;
+  },
+  
+  /**
+   * The user's jobs by send time, optionally filtered by status (without their options)
+   */
+  async listByUser(userId, { status, limit = 100 } = {}) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT ${SCHEDULED_SEND_SUMMARY_COLUMNS} FROM scheduled_sends WHERE user_id = ?${status ? ' AND status = ?' : ''} ORDER BY send_at ASC, id ASC LIMIT ?`,
+      status ? [userId, status, limit] : [userId, limit]
+    );
+    return rows.map(mapScheduledSendRow);
+  },
+  
+  /**
+   * IDs of jobs due for an attempt, oldest first
+   */
+  async findDueIds(now, limit) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      'SELECT id FROM scheduled_sends WHERE status = ? AND next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT ?',
+      ['scheduled', now, limit]
+    );
+    return rows.map(row => row.id);
+  },
+  
+  /**
+   * Claim a due job for sending
+   * @returns {object|null} - The full job (with user ID and options), or null if another worker got it
+   * or it was cancelled/rescheduled in the meantime
+   */
+  async claim(jobId, now) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE scheduled_sends SET status = ?, locked_at = ?, attempts = attempts + 1 WHERE id = ? AND status = ? AND next_attempt_at <= ?',
+      ['sending', now, jobId, 'scheduled', now]
+    );
+    if (result.affectedRows === 0) return null;
+    
+    const [rows] = await pool.execute('SELECT * FROM scheduled_sends WHERE id = ?', [jobId]);
+    return rows.length > 0 ? { ...mapScheduledSendRow(rows[0]), userId: rows[0].user_id } : null;
+  },
+  
+  /**
+   * Record a successful send; the options (attachments included) are no longer needed
+   */
+  async markSent(jobId, result) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE scheduled_sends SET status = ?, result = ?, sent_at = ?, locked_at = NULL, last_error = NULL, options = NULL WHERE id = ?',
+      ['sent', JSON.stringify(result), new Date(), jobId]
+    );
+  },
+  
+  /**
+   * Record a failed attempt: retried at nextAttemptAt, or failed for good when nextAttemptAt is null
+   */
+  async markAttemptFailed(jobId, error, nextAttemptAt) {
+    const pool = getPool();
+    if (nextAttemptAt) {
+      await pool.execute(
+        'UPDATE scheduled_sends SET status = ?, next_attempt_at = ?, last_error = ?, locked_at = NULL WHERE id = ?',
+        ['scheduled', nextAttemptAt, error, jobId]
+      );
+    } else {
+      await pool.execute(
+        'UPDATE scheduled_sends SET status = ?, last_error = ?, locked_at = NULL, options = NULL WHERE id = ?',
+        ['failed', error, jobId]
+      );
+    }
+  },
+  
+  /**
+   * Move a pending job to a new send time
+   * @returns {boolean} - False if the job is no longer pending
+   */
+  async reschedule(userId, jobId, sendAt) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE scheduled_sends SET send_at = ?, next_attempt_at = ?, attempts = 0, last_error = NULL WHERE id = ? AND user_id = ? AND status = ?',
+      [sendAt, sendAt, jobId, userId, 'scheduled']
+    );
+    return result.affectedRows > 0;
+  },
+  
+  /**
+   * Cancel a pending job
+   * @returns {boolean} - False if the job is no longer pending
+   */
+  async cancel(userId, jobId) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE scheduled_sends SET status = ?, options = NULL WHERE id = ? AND user_id = ? AND status = ?',
+      ['cancelled', jobId, userId, 'scheduled']
+    );
+    return result.affectedRows > 0;
+  },
+  
+  /**
+   * Return jobs stuck in "sending" since before `lockedBefore` (the process died mid-send) to the queue
+   * @returns {number} - Jobs released
+   */
+  async releaseStale(lockedBefore) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE scheduled_sends SET status = ?, locked_at = NULL WHERE status = ? AND locked_at < ?',
+      ['scheduled', 'sending', lockedBefore]
+    );
+    return result.affectedRows;
+  }
+};
+
+/**
+ * Reply rules operations (per-user auto-reply rules)
+ */
+function mapReplyRuleRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: Boolean(row.enabled),
+    priority: row.priority,
+    dryRun: Boolean(row.dry_run),
+    conditions: parseJson(row.conditions, {}),
+    actions: parseJson(row.actions, []),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const replyRules = {
+  /**
+   * List a user's rules in the order they run (priority, then creation)
+   */
+  async listByUser(userId, { enabledOnly = false } = {}) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT * FROM reply_rules WHERE user_id = ?${enabledOnly ? ' AND enabled = 1' : ''} ORDER BY priority ASC, id ASC`,
+      [userId]
+    );
+    return rows.map(mapReplyRuleRow);
+  },
+  
+  /**
+   * Find a rule owned by a user
+   */
+  async findById(userId, ruleId) {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM reply_rules WHERE id = ? AND user_id = ?', [ruleId, userId]);
+    return rows.length === 0 ? null : mapReplyRuleRow(rows[0]);
+  },
+  
+  /**
+   * Create a rule (enabled and in dry-run mode unless stated otherwise)
+   */
+  async create(userId, rule) {
+    const pool = getPool();
+    const { name, enabled, priority, dryRun, conditions, actions } = rule;
+    
+    const [result] = await pool.execute(
+      'INSERT INTO reply_rules (user_id, name, enabled, priority, dry_run, conditions, actions) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userId, name, enabled === false ? 0 : 1, priority ?? 100, dryRun === false ? 0 : 1, JSON.stringify(conditions || {}), JSON.stringify(actions || [])]
+    );
+    
+    return this.findById(userId, result.insertId);
+  },
+  
+  /**
+   * Update a rule (only the provided fields)
+   */
+  async update(userId, ruleId, rule) {
+    const pool = getPool();
+    const columns = {
+      name: rule.name,
+      enabled: rule.enabled === undefined ? undefined : (rule.enabled ? 1 : 0),
+      priority: rule.priority,
+      dry_run: rule.dryRun === undefined ? undefined : (rule.dryRun ? 1 : 0),
+      conditions: rule.conditions === undefined ? undefined : JSON.stringify(rule.conditions),
+      actions: rule.actions === undefined ? undefined : JSON.stringify(rule.actions)
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    
+    if (entries.length > 0) {
+      await pool.execute(
+        `UPDATE reply_rules SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+        [...entries.map(([, value]) => value), ruleId, userId]
+      );
+    }
+    
+    return this.findById(userId, ruleId);
+  },
+  
+  /**
+   * Delete a rule (its executions are kept)
+   * @returns {boolean} - True if a row was deleted
+   */
+  async delete(userId, ruleId) {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM reply_rules WHERE id = ? AND user_id = ?', [ruleId, userId]);
+    return result.affectedRows > 0;
+  }
+};
+
+/**
+ * Rule executions operations (what rules did, or would have done in dry-run mode)
+ */
+function mapRuleExecutionRow(row) {
+  return {
+    id: row.id,
+    messageId: row.message_id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    senderEmail: row.sender_email,
+    dryRun: Boolean(row.dry_run),
+    sent: Boolean(row.sent),
+    actions: parseJson(row.actions, []),
+    createdAt: row.created_at
+  };
+}
+
+const ruleExecutions = {
+  /**
+   * Record that a rule matched a message, once per message
+   * @returns {number|null} - Execution ID, or null if rules already ran for this message
+   */
+  async claim(userId, messageId, { ruleId, ruleName, senderEmail, dryRun }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'INSERT IGNORE INTO rule_executions (user_id, message_id, rule_id, rule_name, sender_email, dry_run) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, messageId, ruleId, ruleName, senderEmail || null, dryRun ? 1 : 0]
+    );
+    return result.affectedRows > 0 ? result.insertId : null;
+  },
+  
+  /**
+   * Record the outcome of each action
+   */
+  async finish(executionId, { actions, sent }) {
+    const pool = getPool();
+    await pool.execute(
+      'UPDATE rule_executions SET actions = ?, sent = ? WHERE id = ?',
+      [JSON.stringify(actions), sent ? 1 : 0, executionId]
+    );
+  },
+  
+  /**
+   * Replies sent automatically to an address in the last 24 hours
+   * (automatic replies go only to the sender, so sender_email is also their recipient)
+   */
+  async countSentToSender(userId, senderEmail) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT COUNT(*) AS count FROM rule_executions WHERE user_id = ? AND sender_email = ? AND sent = 1 AND created_at > NOW() - INTERVAL 1 DAY',
+      [userId, senderEmail]
+    );
+    return Number(rows[0].count);
+  },
+  
+  /**
+   * Most recent executions for a user, newest first
+   */
+  async listRecent(userId, limit = 50) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      'SELECT * FROM rule_executions WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [userId, limit]
+    );
+    return rows.map(mapRuleExecutionRow);
+  }
+};
+
+/**
+ * Audit log operations (append-only; rows are only removed by the retention purge)
+ */
+function mapAuditLogRow(row) {
+  return {
+    id: row.id,
+    eventType: row.event_type,
+    messageId: row.message_id,
+    promptHash: row.prompt_hash,
+    model: row.model,
+    provider: row.provider,
+    output: row.output,
+    edits: parseJson(row.edits, null),
+    metadata: parseJson(row.metadata, {}),
+    createdAt: row.created_at
+  };
+}
+
+const auditLog = {
+  /**
+   * Append an entry
+   * @returns {number} - Entry ID
+   */
+  async append(userId, { eventType, messageId, promptHash, model, provider, output, edits, metadata }) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      `INSERT INTO audit_log (user_id, event_type, message_id, prompt_hash, model, provider, output, edits, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        eventType,
+        messageId || null,
+        promptHash || null,
+        model || null,
+        provider || null,
+        output ?? null,
+        edits ? JSON.stringify(edits) : null,
+        JSON.stringify(metadata || {})
+      ]
+    );
+    return result.insertId;
+  },
+  
+  /**
+   * Most recent entry of a type for a message
+   */
+  async findLatest(userId, messageId, eventType) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      'SELECT * FROM audit_log WHERE user_id = ? AND message_id = ? AND event_type = ? ORDER BY id DESC LIMIT 1',
+      [userId, messageId, eventType]
+    );
+    return rows.length > 0 ? mapAuditLogRow(rows[0]) : null;
+  },
+  
+  /**
+   * A user's entries, newest first
+   * @param {object} filters - { eventType, messageId, from, to (Dates), limit, offset }
+   */
+  async list(userId, { eventType, messageId, from, to, limit = 100, offset = 0 } = {}) {
+    const pool = getPool();
+    const conditions = ['user_id = ?'];
+    const params = [userId];
+    
+    if (eventType) {
+      conditions.push('event_type = ?');
+      params.push(eventType);
+    }
+    if (messageId) {
+      conditions.push('message_id = ?');
+      params.push(messageId);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at < ?');
+      params.push(to);
+    }
+    
+    const [rows] = await pool.query(
+      `SELECT * FROM audit_log WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(mapAuditLogRow);
+  },
+  
+  /**
+   * Delete entries older than the retention period
+   * @returns {number} - Entries deleted
+   */
+  async purgeOlderThan(days) {
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'DELETE FROM audit_log WHERE created_at < NOW() - INTERVAL ? DAY',
+      [days]
+    );
+    return result.affectedRows;
+  }
+};
+
+/**
+ * LLM usage operations (one row per model call)
+ */
+function mapUsageTotals(row) {
+  return {
+    calls: Number(row.calls) || 0,
+    promptTokens: Number(row.prompt_tokens) || 0,
+    completionTokens: Number(row.completion_tokens) || 0,
+    costUsd: parseFloat(row.cost_usd) || 0
+  };
+}
+
+const llmUsage = {
+  /**
+   * Record one call
+   * @param {string} usageDate - UTC day, 'YYYY-MM-DD'
+   */
+  async record(userId, { task, provider, model, promptTokens, completionTokens, costUsd, usageDate }) {
+    const pool = getPool();
+    await pool.execute(
+      `INSERT INTO llm_usage (user_id, task, provider, model, prompt_tokens, completion_tokens, cost_usd, usage_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, task, provider, model || null, promptTokens || 0, completionTokens || 0, costUsd || 0, usageDate]
+    );
+  },
+
+  /**
+   * Estimated cost since a UTC day (inclusive)
+   * @returns {number} - USD
+   */
+  async costSince(userId, fromDate) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT COALESCE(SUM(cost_usd), 0) AS cost_usd FROM llm_usage WHERE user_id = ? AND usage_date >= ?',
+      [userId, fromDate]
+    );
+    return parseFloat(rows[0].cost_usd) || 0;
+  },
+
+  /**
+   * Totals per UTC day and task between two days (inclusive), oldest first
+   * @returns {Array<{ date, task, calls, promptTokens, completionTokens, costUsd }>}
+   */
+  async dailyTotals(userId, fromDate, toDate) {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(usage_date, '%Y-%m-%d') AS day, task, COUNT(*) AS calls,
+              SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens, SUM(cost_usd) AS cost_usd
+       FROM llm_usage
+       WHERE user_id = ? AND usage_date BETWEEN ? AND ?
+       GROUP BY usage_date, task
+       ORDER BY usage_date ASC, task ASC`,
+      [userId, fromDate, toDate]
+    );
+    return rows.map(row => ({ date: row.day, task: row.task, ...mapUsageTotals(row) }));
+  }
+};
+
+/**
+ * Rate limit counter operations (the MySQL rate limit store)
+ */
+const rateLimitCounters = {
+  /**
+   * Count a hit in a window
+   * @param {number} windowStart - Window start (epoch ms)
+   * @param {number} expiresAt - Window end (epoch ms)
+   * @returns {number} - Hits in the window so far, this one included
+   */
+  async increment(key, windowStart, expiresAt) {
+    const pool = getPool();
+    await pool.execute(
+      `INSERT INTO rate_limit_counters (limit_key, window_start, hits, expires_at)
+       VALUES (?, ?, 1, ?)
+       ON DUPLICATE KEY UPDATE hits = hits + 1`,
+      [key, windowStart, expiresAt]
+    );
+    const [rows] = await pool.execute(
+      'SELECT hits FROM rate_limit_counters WHERE limit_key = ? AND window_start = ?',
+      [key, windowStart]
+    );
+    return rows[0]?.hits || 1;
+  },
+
+  async deleteKey(key) {
+    const pool = getPool();
+    await pool.execute('DELETE FROM rate_limit_counters WHERE limit_key = ?', [key]);
+  },
+
+  /**
+   * Delete finished windows
+   * @param {number} now - Epoch ms
+   */
+  async purgeExpired(now) {
+    const pool = getPool();
+    await pool.execute('DELETE FROM rate_limit_counters WHERE expires_at <= ?', [now]);
+  }
+};
+
 // Initialize pool on module load
 initPool();
 
 module.exports = {
   getPool,
   initPool,
-  users
+  users,
+  sessions,
+  oauthStates,
+  userSettings,
+  categories,
+  classifications,
+  mailboxMessages,
+  syncState,
+  triageRuns,
+  replyDrafts,
+  replyTemplates,
+  scheduledSends,
+  replyRules,
+  ruleExecutions,
+  auditLog,
+  llmUsage,
+  rateLimitCounters
 };
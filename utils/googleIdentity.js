@@ -0,0 +1,55 @@
+/**
+ * Google identity helpers
+ * Reads the Google account (subject ID, email, name) out of OAuth id_tokens
+ */
+
+const { google } = require('googleapis');
+
+const verifier = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID);
+
+/**
+ * Verify an id_token freshly returned by the token endpoint
+ * @param {string} idToken - JWT id_token
+ * @returns {Promise<{ sub: string, email: string|null, name: string|null }>}
+ */
+async function verifyIdToken(idToken) {
+  if (!idToken) {
+    throw new Error('Google did not return an id_token. Please retry the login.');
+  }
+
+  const ticket = await verifier.verifyIdToken({
+    idToken,
+    audience: process.env.GOOGLE_CLIENT_ID
+  });
+  const payload = ticket.getPayload();
+
+  return {
+    sub: payload.sub,
+    email: payload.email || null,
+    name: payload.name || null
+  };
+}
+
+/**
+ * Decode a previously stored id_token without verifying it
+ * Only use on tokens read back from our own encrypted storage (they may be long expired)
+ * @param {string} idToken - JWT id_token
+ * @returns {{ sub: string, email: string|null, name: string|null }|null}
+ */
+function decodeIdToken(idToken) {
+  if (!idToken) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+    if (!payload.sub) return null;
+    return {
+      sub: payload.sub,
+      email: payload.email || null,
+      name: payload.name || null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { verifyIdToken, decodeIdToken };
@@ -0,0 +1,318 @@
+/**
+ * HTML to plain text
+ * Converts HTML email bodies to readable text: paragraphs, list items and table rows become lines,
+ * link text is kept, and scripts, styles, hidden elements and tracking pixels are dropped.
+ * HTML comes from any sender and is parsed without anyone opening the mail (auto-triage, push),
+ * so everything here runs in a single pass over at most MAX_HTML_LENGTH characters.
+ */
+
+// Longest HTML converted, in characters; the rest of a larger body is ignored
+const MAX_HTML_LENGTH = 512 * 1024;
+
+// Content of these elements is never shown
+const SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'noscript', 'template', 'svg', 'object', 'iframe']);
+// Elements that start on a new line
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'main', 'nav', 'section', 'table',
+  'tbody', 'thead', 'tfoot', 'caption'
+]);
+// Elements separated by a blank line
+const PARAGRAPH_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'ul', 'ol']);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+  zwnj: '', zwj: '', shy: '', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°', times: '×', divide: '÷', sect: '§', para: '¶'
+};
+
+/**
+ * Decode HTML character references (named, decimal and hex)
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const value = NAMED_ENTITIES[ref.toLowerCase()];
+    return value === undefined ? match : value;
+  });
+}
+
+/**
+ * Read an attribute value from a tag's attribute string
+ */
+function getAttribute(attrs, name) {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3] ?? '') : null;
+}
+
+function isHidden(attrs) {
+  const style = (getAttribute(attrs, 'style') || '').toLowerCase().replace(/\s+/g, '');
+  return style.includes('display:none') || style.includes('visibility:hidden') || /(?:^|\s)hidden(?:\s|=|$)/i.test(attrs);
+}
+
+/**
+ * Tracking pixels are tiny or hidden images; other images are replaced by their alt text
+ */
+function imageText(attrs) {
+  const width = parseInt(getAttribute(attrs, 'width'), 10);
+  const height = parseInt(getAttribute(attrs, 'height'), 10);
+  if (width <= 1 || height <= 1 || isHidden(attrs)) return '';
+  return (getAttribute(attrs, 'alt') || '').trim();
+}
+
+const TAG_NAME_PATTERN = /\/?([a-zA-Z][a-zA-Z0-9-]*)/y;
+
+/**
+ * Index of the ">" that ends a tag whose attributes start at `from`, or -1
+ * Quotes only open a value right after "=", as in browsers, so an apostrophe in an unquoted value is literal.
+ */
+function findTagEnd(source, from) {
+  let quote = null;
+  let previous = '';
+  for (let i = from; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '>') {
+      return i;
+    } else if ((char === '"' || char === "'") && previous === '=') {
+      quote = char;
+    }
+    if (!/\s/.test(char)) previous = char;
+  }
+  return -1;
+}
+
+/**
+ * Split HTML into text and tag tokens in one pass over the input
+ * Comments, CDATA sections and declarations (<!DOCTYPE>, <?xml?>) are dropped; one left open runs to
+ * the end. A tag with no closing ">" ends tokenizing and the rest is returned as text (looking for a
+ * ">" again from every later "<" would make hostile input quadratic).
+ * @returns {Array<{ text: string } | { tag: string, attrs: string, closing: boolean }>}
+ */
+function tokenize(html) {
+  const source = String(html).slice(0, MAX_HTML_LENGTH);
+  const tokens = [];
+  // Start of the text not yet emitted
+  let textStart = 0;
+  const emitText = (end) => {
+    if (end > textStart) tokens.push({ text: source.slice(textStart, end) });
+  };
+
+  let i = source.indexOf('<');
+  while (i !== -1) {
+    let end;
+    if (source.startsWith('<!--', i)) {
+      end = source.indexOf('-->', i + 4);
+      end = end === -1 ? source.length : end + 3;
+    } else if (source.startsWith('<![CDATA[', i)) {
+      end = source.indexOf(']]>', i + 9);
+      end = end === -1 ? source.length : end + 3;
+    } else if (source[i + 1] === '!' || source[i + 1] === '?') {
+      end = source.indexOf('>', i + 2);
+      end = end === -1 ? source.length : end + 1;
+    } else {
+      TAG_NAME_PATTERN.lastIndex = i + 1;
+      const name = TAG_NAME_PATTERN.exec(source);
+      if (!name) {
+        // A "<" that does not start a tag is text
+        i = source.indexOf('<', i + 1);
+        continue;
+      }
+      const tagEnd = findTagEnd(source, TAG_NAME_PATTERN.lastIndex);
+      if (tagEnd === -1) break;
+      emitText(i);
+      tokens.push({
+        tag: name[1].toLowerCase(),
+        attrs: source.slice(i + 1 + name[0].length, tagEnd),
+        closing: name[0][0] === '/'
+      });
+      textStart = tagEnd + 1;
+      i = source.indexOf('<', textStart);
+      continue;
+    }
+    emitText(i);
+    textStart = end;
+    i = source.indexOf('<', end);
+  }
+  emitText(source.length);
+  return tokens;
+}
+
+/**
+ * Drop trailing spaces and tabs (not newlines) from a string
+ */
+function trimTrailingSpace(text) {
+  let end = text.length;
+  while (end > 0 && text[end - 1] !== '\n' && /\s/.test(text[end - 1])) end--;
+  return text.slice(0, end);
+}
+
+/**
+ * Convert an HTML document or fragment to plain text
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  const out = [];
+  // Stack of open elements whose content is dropped (skipped or hidden), by tag name
+  const dropped = [];
+  // Open lists: { ordered, index }
+  const lists = [];
+  let preDepth = 0;
+  let cellIndex = 0;
+
+  const newline = (count) => out.push({ newline: count });
+  // `keepIndent` items (list bullets, preformatted text) keep leading whitespace at the start of a line
+  const write = (text, keepIndent = false) => { if (text) out.push({ text, keepIndent }); };
+
+  const writeText = (raw) => {
+    if (dropped.length > 0 || !raw) return;
+    const text = decodeEntities(raw);
+    // Preformatted text keeps its whitespace, including leading indentation
+    if (preDepth > 0) write(text, true);
+    else write(text.replace(/\s+/g, ' '));
+  };
+
+  for (const token of tokenize(html)) {
+    if (token.text !== undefined) {
+      writeText(token.text);
+      continue;
+    }
+
+    const { tag, attrs, closing } = token;
+    const selfClosing = VOID_TAGS.has(tag) || attrs.trimEnd().endsWith('/');
+
+    if (dropped.length > 0) {
+      // Only track nesting of the element that started the dropped region
+      const top = dropped[dropped.length - 1];
+      if (closing && tag === top.tag) {
+        if (--top.depth === 0) dropped.pop();
+      } else if (!closing && !selfClosing && tag === top.tag) {
+        top.depth++;
+      }
+      continue;
+    }
+
+    if (!closing && !selfClosing && (SKIPPED_TAGS.has(tag) || isHidden(attrs))) {
+      dropped.push({ tag, depth: 1 });
+      continue;
+    }
+
+    if (tag === 'br') {
+      newline(1);
+    } else if (tag === 'img') {
+      const alt = imageText(attrs);
+      if (alt) write(` ${alt} `);
+    } else if (tag === 'hr') {
+      newline(1);
+      write('---');
+      newline(1);
+    } else if (tag === 'li') {
+      if (!closing) {
+        newline(1);
+        const list = lists[lists.length - 1];
+        const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+        write(list?.ordered ? `${indent}${++list.index}. ` : `${indent}- `, true);
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', index: 0 });
+      newline(lists.length > (closing ? 0 : 1) ? 1 : 2);
+    } else if (tag === 'tr') {
+      newline(1);
+      cellIndex = 0;
+    } else if (tag === 'td' || tag === 'th') {
+      if (!closing && cellIndex++ > 0) write(' | ');
+    } else if (PARAGRAPH_TAGS.has(tag)) {
+      if (tag === 'pre') preDepth += closing ? -1 : 1;
+      newline(2);
+    } else if (BLOCK_TAGS.has(tag)) {
+      newline(1);
+    }
+  }
+
+  // Join, turning runs of newline markers into the largest requested break
+  const parts = [];
+  // Text of the current line, and whether a line break has been written yet
+  let line = '';
+  let brokeLine = false;
+  let pendingBreak = 0;
+  for (const item of out) {
+    if (item.newline) {
+      pendingBreak = Math.max(pendingBreak, item.newline);
+      continue;
+    }
+    if (pendingBreak > 0 && parts.length > 0) {
+      while (parts.length > 0) {
+        const last = trimTrailingSpace(parts.pop());
+        if (last) {
+          parts.push(last);
+          break;
+        }
+      }
+      parts.push('\n'.repeat(pendingBreak));
+      line = '';
+      brokeLine = true;
+    }
+    pendingBreak = 0;
+
+    // Start of a line, or right after a list bullet
+    const atLineStart = line === '' || (brokeLine && line.length <= 16 && /^\s*(-|\d+\.) $/.test(line));
+    const piece = atLineStart && !item.keepIndent ? item.text.replace(/^[^\S\n]+/, '') : item.text;
+    if (!piece) continue;
+    parts.push(piece);
+    const lastBreak = piece.lastIndexOf('\n');
+    if (lastBreak === -1) {
+      line += piece;
+    } else {
+      line = piece.slice(lastBreak + 1);
+      brokeLine = true;
+    }
+  }
+
+  return parts.join('')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Links in an HTML document: [{ url, text }] for http(s) and mailto anchors
+ * Uses the same tokenizer (and length cap) as htmlToText; an anchor without "</a>" is ignored.
+ */
+function extractLinks(html) {
+  if (!html) return [];
+
+  const links = [];
+  // The anchor being read: { url, text: [] }
+  let anchor = null;
+  for (const token of tokenize(html)) {
+    if (token.text !== undefined) {
+      if (anchor) anchor.text.push(token.text);
+    } else if (!anchor && token.tag === 'a' && !token.closing) {
+      anchor = { url: (getAttribute(token.attrs, 'href') || '').trim(), text: [] };
+    } else if (anchor && token.tag === 'a' && token.closing) {
+      if (/^(https?:|mailto:)/i.test(anchor.url)) {
+        const text = decodeEntities(anchor.text.join('')).replace(/\s+/g, ' ').trim();
+        links.push({ url: anchor.url, text: text || anchor.url });
+      }
+      anchor = null;
+    } else if (anchor) {
+      // Tags inside the link separate words
+      anchor.text.push(' ');
+    }
+  }
+  return links;
+}
+
+module.exports = { htmlToText, extractLinks, decodeEntities };
@@ -0,0 +1,208 @@
+/**
+ * Message parser
+ * Turns a Gmail message payload into structured text: the new content, the quoted history,
+ * the signature and the links found. Shared by the list and fetch code paths.
+ */
+
+const { decodePartBody } = require('./mime');
+const { htmlToText, extractLinks: extractHtmlLinks } = require('./htmlToText');
+
+// Plain-text parts that only point the reader at the HTML version
+const PLACEHOLDER_TEXT_PATTERN = /(view|read|open|see) (this|the|it)( email| message| newsletter)? (in|on|with) (a|your) (web )?browser|does not support html|html (version|email|message)|enable html/i;
+
+// Lines that introduce quoted history
+const ATTRIBUTION_START_PATTERN = /^(On|Am|Le|El|Il|Op)\s.+/;
+const ATTRIBUTION_END_PATTERN = /(wrote|schrieb|a écrit|escribió|ha scritto|schreef)\s*:\s*$/i;
+const ORIGINAL_MESSAGE_PATTERN = /^-{2,}\s*(Original Message|Ursprüngliche Nachricht|Message d'origine)\s*-{2,}\s*$/i;
+const OUTLOOK_FROM_PATTERN = /^\*?(From|Von|De):\*?\s.+/;
+const OUTLOOK_SENT_PATTERN = /^\*?(Sent|Date|Gesendet|Envoyé|To):\*?\s.+/;
+
+// Lines that end the message body and start the signature
+const SIGNATURE_DELIMITER_PATTERN = /^--\s?$/;
+const MOBILE_SIGNATURE_PATTERN = /^(Sent from my .+|Sent from (Mail|Outlook) for .+|Get Outlook for .+|Sent via .+)$/i;
+const VALEDICTION_PATTERN = /^((best|kind|warm|warmest)\s+)?(regards|wishes)[,!.]?$|^(many\s+)?thanks( again| in advance)?[,!.]?$|^thank you[,!.]?$|^cheers[,!.]?$|^(yours\s+)?(sincerely|truly)[,!.]?$|^best[,!.]?$|^br[,!.]?$/i;
+// A sign-off only counts as a signature if few lines follow it (name, title, phone...)
+const MAX_SIGNATURE_LINES = 6;
+// ...and those lines look like a name/title block rather than more of the message
+const MAX_SIGNATURE_LINE_LENGTH = 60;
+const MAX_SIGNATURE_LINE_WORDS = 8;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'()[\]]+/gi;
+
+/**
+ * Normalize line endings and whitespace without dropping content
+ */
+function normalizeText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00a0\u2007\u202f]/g, ' ')
+    .replace(/[\u200b-\u200d\ufeff\u00ad]/g, '')
+    .split('\n')
+    .map(line => line.trimEnd().replace(/(\S)[^\S\n]{2,}/g, '$1 '))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * True if a plain-text body has real content (not empty and not an "open the HTML version" stub)
+ */
+function isUsablePlainText(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return false;
+  return !(trimmed.length < 300 && PLACEHOLDER_TEXT_PATTERN.test(trimmed));
+}
+
+/**
+ * First part of the given MIME type, skipping attachments
+ */
+function findPart(payload, mimeType) {
+  if (!payload) return null;
+  if (payload.mimeType === mimeType && !payload.filename && payload.body?.data) {
+    return payload;
+  }
+  for (const part of payload.parts || []) {
+    const found = findPart(part, mimeType);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Index of the first line of quoted history, or -1
+ */
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    // "On Mon, 1 Jan 2024 at 10:00, Jane <jane@example.com> wrote:" (often wrapped over two lines)
+    if (ATTRIBUTION_START_PATTERN.test(line) &&
+        (ATTRIBUTION_END_PATTERN.test(line) || ATTRIBUTION_END_PATTERN.test((lines[i + 1] || '').trim()))) {
+      return i;
+    }
+    if (ORIGINAL_MESSAGE_PATTERN.test(line)) {
+      return i;
+    }
+    // Outlook header block: "From: ..." followed shortly by "Sent: ..." / "Date: ..."
+    if (OUTLOOK_FROM_PATTERN.test(line) && lines.slice(i + 1, i + 5).some(next => OUTLOOK_SENT_PATTERN.test(next.trim()))) {
+      // Include a "_____" separator line right above it
+      return i > 0 && /^_{5,}$/.test(lines[i - 1].trim()) ? i - 1 : i;
+    }
+  }
+
+  // A trailing block of "> " lines (inline replies further up are left alone)
+  let start = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (line.startsWith('>')) start = i;
+    else if (line) break;
+  }
+  return start;
+}
+
+/**
+ * True if a line after a sign-off reads like part of a signature (name, title, company, phone,
+ * address) and not like a sentence, e.g. "Can you send the PO by Friday?"
+ */
+function isSignatureLine(line) {
+  const text = line.trim();
+  if (!text) return true;
+  const words = text.split(/\s+/).length;
+  if (text.length > MAX_SIGNATURE_LINE_LENGTH || words > MAX_SIGNATURE_LINE_WORDS || text.includes('?')) {
+    return false;
+  }
+  // "Acme Inc." is fine; "We need it for the audit." is not
+  return !(/[.!]$/.test(text) && words > 3);
+}
+
+/**
+ * Index of the first line of the signature, or -1
+ */
+function findSignatureStart(lines) {
+  // The last "-- " line, so an earlier "--" divider in the text does not swallow it
+  for (let i = lines.length - 1; i > 0; i--) {
+    if (SIGNATURE_DELIMITER_PATTERN.test(lines[i])) return i;
+  }
+
+  for (let i = Math.max(lines.length - MAX_SIGNATURE_LINES - 1, 0); i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (MOBILE_SIGNATURE_PATTERN.test(line)) return i;
+    if (VALEDICTION_PATTERN.test(line) && i > 0 && lines.slice(i + 1).every(isSignatureLine)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split a message body into new content, signature and quoted history
+ * @param {string} text
+ * @returns {{ content: string, signature: string, quoted: string }}
+ */
+function splitMessage(text) {
+  const lines = normalizeText(text).split('\n');
+
+  const quoteStart = findQuoteStart(lines);
+  const ownLines = quoteStart === -1 ? lines : lines.slice(0, quoteStart);
+  const quoted = quoteStart === -1 ? '' : lines.slice(quoteStart).join('\n').trim();
+
+  const signatureStart = findSignatureStart(ownLines);
+  const contentLines = signatureStart === -1 ? ownLines : ownLines.slice(0, signatureStart);
+  const signature = signatureStart === -1
+    ? ''
+    : ownLines.slice(signatureStart).filter(line => !SIGNATURE_DELIMITER_PATTERN.test(line)).join('\n').trim();
+
+  const content = contentLines.join('\n').trim();
+  // Never report an empty message body just because it was all signature
+  return content ? { content, signature, quoted } : { content: signature, signature: '', quoted };
+}
+
+/**
+ * Links in plain text: [{ url, text }]
+ */
+function extractTextLinks(text) {
+  return (text.match(URL_PATTERN) || []).map(url => {
+    // Trailing punctuation belongs to the sentence (a loop, as /[.,;:!?]+$/ is quadratic on long runs)
+    let end = url.length;
+    while (end > 0 && '.,;:!?'.includes(url[end - 1])) end--;
+    const clean = url.slice(0, end);
+    return { url: clean, text: clean };
+  });
+}
+
+function dedupeLinks(links) {
+  const seen = new Set();
+  return links.filter(link => {
+    if (seen.has(link.url)) return false;
+    seen.add(link.url);
+    return true;
+  });
+}
+
+/**
+ * parseMessage - structured body of a Gmail message payload.
+ * The plain-text part is used unless it is missing or only a "view in browser" stub, in which
+ * case the HTML part is converted to text.
+ * Returns: { text, content, quoted, signature, links }
+ *   text      - the whole body
+ *   content   - what the sender wrote in this message
+ *   quoted    - earlier messages quoted below it
+ *   signature - the sender's signature / sign-off
+ *   links     - [{ url, text }]
+ */
+function parseMessage(payload) {
+  const plainPart = findPart(payload, 'text/plain');
+  const htmlPart = findPart(payload, 'text/html');
+  const plainText = normalizeText(plainPart ? decodePartBody(plainPart) : '');
+  const html = htmlPart ? decodePartBody(htmlPart) : '';
+
+  const text = isUsablePlainText(plainText) ? plainText : (normalizeText(htmlToText(html)) || plainText);
+  const links = dedupeLinks(html ? [...extractHtmlLinks(html), ...extractTextLinks(plainText)] : extractTextLinks(text));
+
+  return { text, ...splitMessage(text), links };
+}
+
+module.exports = {
+  parseMessage,
+  splitMessage,
+  normalizeText,
+  isUsablePlainText
+};
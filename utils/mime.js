@@ -0,0 +1,212 @@
+/**
+ * MIME message builder and body decoding
+ * Produces CRLF-delimited RFC 5322 / MIME messages for the Gmail API: UTF-8 text/plain and
+ * text/html alternatives, RFC 2047 encoded headers and base64 attachments.
+ * Also decodes Gmail message parts (any charset) to strings.
+ */
+
+const crypto = require('crypto');
+const { formatAddress } = require('./addresses');
+
+const CRLF = '\r\n';
+// RFC 2047 encoded words are limited to 75 characters; 45 bytes of UTF-8 fit with room to spare
+const ENCODED_WORD_BYTES = 45;
+
+function isAscii(text) {
+  return /^[\x20-\x7e]*$/.test(text);
+}
+
+/**
+ * RFC 2047-encode a header value if it contains non-ASCII characters
+ * Long values are split into several encoded words without cutting a character in half
+ */
+function encodeHeaderValue(value) {
+  const text = String(value || '').replace(/[\r\n]+/g, ' ');
+  if (isAscii(text)) return text;
+
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+    .join(`${CRLF} `);
+}
+
+/**
+ * Format an address list header, encoding non-ASCII display names
+ * @param {Array<{ name: string, email: string }>} addresses
+ */
+function encodeAddressList(addresses) {
+  return addresses
+    .map(address => isAscii(address.name || '')
+      ? formatAddress(address)
+      : `${encodeHeaderValue(address.name)} <${address.email}>`)
+    .join(', ');
+}
+
+/**
+ * Content-Disposition filename parameters (RFC 2231 for non-ASCII names)
+ */
+function filenameParams(filename) {
+  const safe = String(filename || 'attachment').replace(/[\r\n"\\]/g, '_');
+  if (isAscii(safe)) return `filename="${safe}"`;
+  return `filename="${safe.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(safe)}`;
+}
+
+/**
+ * Base64 with 76-character lines, as MIME requires
+ */
+function base64Lines(content) {
+  const encoded = Buffer.from(content).toString('base64');
+  return encoded.match(/.{1,76}/g)?.join(CRLF) || '';
+}
+
+function boundary() {
+  return `=_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function textPart(mimeType, text) {
+  return [
+    `Content-Type: ${mimeType}; charset="UTF-8"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text.replace(/\r?\n/g, CRLF))
+  ].join(CRLF);
+}
+
+function attachmentPart({ filename, mimeType, content }) {
+  const name = String(filename || 'attachment').replace(/[\r\n"\\]/g, '_');
+  return [
+    `Content-Type: ${mimeType || 'application/octet-stream'}; name="${isAscii(name) ? name : encodeHeaderValue(name)}"`,
+    `Content-Disposition: attachment; ${filenameParams(name)}`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(content)
+  ].join(CRLF);
+}
+
+function multipart(subtype, parts) {
+  const marker = boundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${marker}"`,
+    '',
+    ...parts.flatMap(part => [`--${marker}`, part]),
+    `--${marker}--`,
+    ''
+  ].join(CRLF);
+}
+
+/**
+ * Build a complete MIME message
+ * @param {object} message
+ * @param {string} message.from - Sender address
+ * @param {Array<{ name: string, email: string }>} message.to
+ * @param {Array<{ name: string, email: string }>} [message.cc]
+ * @param {Array<{ name: string, email: string }>} [message.bcc]
+ * @param {string} message.subject
+ * @param {string} [message.messageId] - Message-ID for this message (Gmail assigns one if omitted)
+ * @param {string} [message.inReplyTo] - Message-ID being replied to
+ * @param {string[]} [message.references] - Message-ID chain
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML alternative
+ * @param {Array<{ filename: string, mimeType: string, content: Buffer }>} [message.attachments]
+ * @returns {string} - CRLF-delimited message
+ */
+function buildMessage({ from, to, cc = [], bcc = [], subject, messageId, inReplyTo, references = [], text, html, attachments = [] }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${encodeAddressList(to)}`,
+    ...(cc.length > 0 ? [`Cc: ${encodeAddressList(cc)}`] : []),
+    ...(bcc.length > 0 ? [`Bcc: ${encodeAddressList(bcc)}`] : []),
+    `Subject: ${encodeHeaderValue(subject)}`,
+    ...(messageId ? [`Message-ID: ${messageId}`] : []),
+    ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+    ...(references.length > 0 ? [`References: ${references.join(' ')}`] : []),
+    'MIME-Version: 1.0'
+  ];
+
+  let body = html
+    ? multipart('alternative', [textPart('text/plain', text || ''), textPart('text/html', html)])
+    : textPart('text/plain', text || '');
+
+  if (attachments.length > 0) {
+    body = multipart('mixed', [body, ...attachments.map(attachmentPart)]);
+  }
+
+  return [...headers, body].join(CRLF);
+}
+
+/**
+ * Encode a message for the Gmail API `raw` field (base64url, no padding)
+ */
+function toBase64Url(message) {
+  return Buffer.from(message)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// windows-1252 characters for bytes 0x80-0x9F (undefined bytes map to themselves)
+const WINDOWS_1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+  '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 for unknown labels
+ */
+function decodeCharset(buffer, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch (error) {
+    decoder = new TextDecoder('utf-8');
+  }
+
+  // Node decodes windows-1252 (and its aliases latin1/ascii) as plain Latin-1; map 0x80-0x9F ourselves
+  if (decoder.encoding === 'windows-1252') {
+    return Array.from(buffer, byte => byte >= 0x80 && byte <= 0x9f
+      ? WINDOWS_1252_HIGH[byte - 0x80]
+      : String.fromCharCode(byte)).join('');
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * Value of a part header (case-insensitive), or ''
+ */
+function partHeader(part, name) {
+  return (part.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * Decode the body of a Gmail message part to a string
+ * The Gmail API has already removed the transfer encoding (quoted-printable, base64), so the
+ * data is only charset-decoded; decoding it again would corrupt text such as "=3D" in URLs.
+ * The part's charset is honoured (UTF-8 if none).
+ * @param {object} part - Gmail MessagePart with body.data (base64url)
+ * @returns {string}
+ */
+function decodePartBody(part) {
+  if (!part?.body?.data) return '';
+
+  const bytes = Buffer.from(part.body.data, 'base64url');
+  const charset = partHeader(part, 'Content-Type').match(/charset\s*=\s*"?([^";\s]+)"?/i)?.[1];
+  return decodeCharset(bytes, charset);
+}
+
+module.exports = {
+  encodeHeaderValue,
+  encodeAddressList,
+  buildMessage,
+  toBase64Url,
+  decodeCharset,
+  decodePartBody
+};
@@ -0,0 +1,85 @@
+/**
+ * OAuth state utilities
+ * The OAuth `state` parameter is a signed, single-use nonce stored server-side.
+ * Re-auth flows are additionally bound to the session that started them; fresh logins are bound
+ * to the browser that started them by a short-lived pre-auth cookie holding the same state
+ * (otherwise a victim could be sent to a callback URL with an attacker's code and state, and be
+ * signed in to the attacker's mailbox).
+ */
+
+const crypto = require('crypto');
+const { sign, safeEqual, authenticateRequest, parseCookies } = require('./session');
+
+const OAUTH_STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES, 10) || 10;
+const LOGIN_COOKIE_NAME = 'oauth_login';
+const LOGIN_COOKIE_PATH = '/auth';
+
+/**
+ * Create and persist a new state value
+ * @param {object} options
+ * @param {string|null} options.userId - User being re-authenticated (null for a fresh login)
+ * @param {string|null} options.sessionId - Session that initiated the flow
+ * @returns {Promise<string>} - State value in the form "<nonce>.<signature>"
+ */
+async function createState({ userId = null, sessionId = null } = {}) {
+  const db = require('./db');
+  const nonce = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000);
+
+  await db.oauthStates.create({ id: nonce, userId, sessionId, expiresAt });
+
+  return `${nonce}.${sign(nonce)}`;
+}
+
+/**
+ * Verify and consume a state value returned to the OAuth callback
+ * Throws if the state is unsigned, unknown, expired, already used or bound to another session
+ * @param {string} state - State value from the callback query string
+ * @param {object} req - Express request (used to check the session binding)
+ * @returns {Promise<{ userId: string|null, sessionId: string|null }>}
+ */
+async function consumeState(state, req) {
+  const db = require('./db');
+  const [nonce, signature] = typeof state === 'string' ? state.split('.') : [];
+
+  if (!nonce || !signature || !safeEqual(signature, sign(nonce))) {
+    throw new Error('Invalid OAuth state');
+  }
+
+  // Marks the state as used in a single statement so a replay can never succeed twice
+  const pending = await db.oauthStates.consume(nonce);
+  if (!pending) {
+    throw new Error('Invalid OAuth state: expired or already used');
+  }
+
+  if (pending.sessionId) {
+    const session = await authenticateRequest(req);
+    if (!session || session.id !== pending.sessionId || session.userId !== pending.userId) {
+      throw new Error('Invalid OAuth state: session mismatch');
+    }
+  } else if (!safeEqual(parseCookies(req)[LOGIN_COOKIE_NAME], state)) {
+    throw new Error('Invalid OAuth state: login was not started in this browser');
+  }
+
+  return pending;
+}
+
+/**
+ * Set the pre-auth cookie that binds a fresh login's state to this browser
+ */
+function setLoginCookie(res, state) {
+  res.cookie(LOGIN_COOKIE_NAME, state, {
+    httpOnly: true,
+    secure: (process.env.BASE_URL || '').startsWith('https://'),
+    // Lax: sent on the top-level redirect back from Google
+    sameSite: 'lax',
+    maxAge: OAUTH_STATE_TTL_MINUTES * 60 * 1000,
+    path: LOGIN_COOKIE_PATH
+  });
+}
+
+function clearLoginCookie(res) {
+  res.clearCookie(LOGIN_COOKIE_NAME, { path: LOGIN_COOKIE_PATH });
+}
+
+module.exports = { createState, consumeState, setLoginCookie, clearLoginCookie };
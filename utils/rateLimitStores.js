@@ -0,0 +1,89 @@
+/**
+ * Rate limit stores
+ * Counters for the rate limit middleware, in fixed windows aligned to the epoch, so every
+ * instance sharing a store agrees on when a window starts and ends.
+ *
+ * Store interface:
+ *   {
+ *     name: string,
+ *     increment(key, windowMs) => Promise<{ count, resetAt }>,
+ *     resetKey(key) => Promise<void>
+ *   }
+ * where count is the number of hits in the current window (including this one)
+ * and resetAt is the Date the window ends.
+ *
+ * The memory store is per process; the MySQL store shares counters between instances.
+ * Anything else (e.g. Redis INCR + PEXPIRE) can be plugged in with rateLimit.setStore().
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function windowFor(windowMs, now = Date.now()) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, end: start + windowMs };
+}
+
+/**
+ * In-memory store (the default)
+ */
+function createMemoryStore() {
+  // key -> { count, windowStart, resetAt }
+  const counters = new Map();
+
+  // Drop finished windows so idle keys do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const { start, end } = windowFor(windowMs);
+      const counter = counters.get(key);
+      if (counter && counter.windowStart === start) {
+        counter.count++;
+        return { count: counter.count, resetAt: new Date(counter.resetAt) };
+      }
+      counters.set(key, { count: 1, windowStart: start, resetAt: end });
+      return { count: 1, resetAt: new Date(end) };
+    },
+
+    async resetKey(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+/**
+ * MySQL store (rate_limit_counters table), for several instances behind a load balancer
+ */
+function createMySqlStore() {
+  const db = require('./db');
+
+  const sweeper = setInterval(() => {
+    db.rateLimitCounters.purgeExpired(Date.now())
+      .catch(err => console.error('[Rate Limit] Failed to purge expired counters:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: 'mysql',
+
+    async increment(key, windowMs) {
+      const { start, end } = windowFor(windowMs);
+      const count = await db.rateLimitCounters.increment(key, start, end);
+      return { count, resetAt: new Date(end) };
+    },
+
+    async resetKey(key) {
+      await db.rateLimitCounters.deleteKey(key);
+    }
+  };
+}
+
+module.exports = { createMemoryStore, createMySqlStore };
@@ -0,0 +1,124 @@
+/**
+ * Reply generation options
+ * Validates the tone / length / language / intent / instructions a caller can pass to
+ * POST /gmail/reply and renders them as prompt requirements.
+ */
+
+const REPLY_TONES = {
+  professional: 'polite and professional',
+  formal: 'formal and courteous; no contractions or casual phrases',
+  friendly: 'warm and friendly, while staying professional',
+  firm: 'firm and direct; polite but leave no room for ambiguity',
+  apologetic: 'apologetic; acknowledge the problem and take responsibility where appropriate'
+};
+
+const REPLY_LENGTHS = {
+  short: '2-4 sentences',
+  medium: '1-2 short paragraphs',
+  long: '3-4 paragraphs covering every point raised'
+};
+
+const REPLY_INTENTS = {
+  accept: 'accept or agree to what the sender asks',
+  decline: 'politely decline what the sender asks, briefly explaining why if the email gives a reason to',
+  ask_for_info: 'ask the sender for the specific information needed before you can act',
+  delegate: 'say the request is being passed to the right person or team, who will follow up'
+};
+
+const DEFAULT_REPLY_OPTIONS = {
+  tone: 'professional',
+  length: 'short',
+  language: null,
+  intent: null,
+  instructions: null
+};
+
+const MIN_WORDS = 10;
+const MAX_WORDS = 500;
+const MAX_LANGUAGE_LENGTH = 40;
+const MAX_INSTRUCTIONS_LENGTH = 500;
+
+function oneOf(value, allowed, field) {
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+    throw new Error(`Invalid ${field}: must be one of ${Object.keys(allowed).join(', ')}`);
+  }
+  return key;
+}
+
+/**
+ * Validate caller-supplied reply options and fill in defaults
+ * length is a preset (short, medium, long) or a target number of words
+ * @param {object} input - { tone, length, language, intent, instructions }
+ * @returns {object} - Applied options
+ * @throws {Error} - "Invalid <field>: ..." for unsupported values
+ */
+function normalizeReplyOptions(input = {}) {
+  const options = { ...DEFAULT_REPLY_OPTIONS };
+  const present = (value) => value !== undefined && value !== null && value !== '';
+
+  if (present(input.tone)) {
+    options.tone = oneOf(input.tone, REPLY_TONES, 'tone');
+  }
+
+  if (present(input.length)) {
+    const words = Number(input.length);
+    if (Number.isInteger(words)) {
+      if (words < MIN_WORDS || words > MAX_WORDS) {
+        throw new Error(`Invalid length: a word count must be between ${MIN_WORDS} and ${MAX_WORDS}`);
+      }
+      options.length = words;
+    } else {
+      options.length = oneOf(input.length, REPLY_LENGTHS, 'length');
+    }
+  }
+
+  if (present(input.language)) {
+    const language = String(input.language).trim();
+    if (language.length > MAX_LANGUAGE_LENGTH || !/^[\p{L}][\p{L}\s()-]*$/u.test(language)) {
+      throw new Error('Invalid language: use a language name or code such as "German" or "es"');
+    }
+    options.language = language;
+  }
+
+  if (present(input.intent)) {
+    options.intent = oneOf(input.intent, REPLY_INTENTS, 'intent');
+  }
+
+  if (present(input.instructions)) {
+    if (typeof input.instructions !== 'string' || input.instructions.trim().length > MAX_INSTRUCTIONS_LENGTH) {
+      throw new Error(`Invalid instructions: must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+    options.instructions = input.instructions.trim();
+  }
+
+  return options;
+}
+
+/**
+ * Render applied options as a bullet list of reply requirements
+ * A null length is left out (the reply follows a template's length)
+ */
+function formatReplyRequirements(options) {
+  const lines = [`- Tone: ${REPLY_TONES[options.tone]}`];
+  if (options.length) {
+    lines.push(`- Length: ${typeof options.length === 'number' ? `about ${options.length} words` : REPLY_LENGTHS[options.length]}`);
+  }
+  lines.push(`- Language: ${options.language || 'the same language as the email'}`);
+  if (options.intent) {
+    lines.push(`- Intent: ${REPLY_INTENTS[options.intent]}`);
+  }
+  if (options.instructions) {
+    lines.push(`- Additional instructions from the user: ${JSON.stringify(options.instructions)}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  REPLY_TONES,
+  REPLY_LENGTHS,
+  REPLY_INTENTS,
+  DEFAULT_REPLY_OPTIONS,
+  normalizeReplyOptions,
+  formatReplyRequirements
+};
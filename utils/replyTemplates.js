@@ -0,0 +1,86 @@
+/**
+ * Reply template placeholders
+ * Templates use `{{variable}}` placeholders (whitespace inside the braces is allowed) that are
+ * filled from the message being answered and the user's account.
+ */
+
+const { parseAddress } = require('./addresses');
+
+const TEMPLATE_VARIABLES = {
+  sender_name: "Sender's display name (their email address if the message has none)",
+  sender_first_name: "Sender's first name (empty if the message has no display name)",
+  sender_email: "Sender's email address",
+  subject: 'Subject of the message being answered',
+  today: "Today's date, e.g. March 4, 2025",
+  my_name: 'Your Google account name',
+  my_email: 'Your Gmail address'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+/**
+ * Names of the placeholders used in a template body, in order of first use
+ */
+function findVariables(body) {
+  const names = [...String(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1].toLowerCase());
+  return [...new Set(names)];
+}
+
+/**
+ * Placeholders in a template body that are not supported
+ */
+function findUnknownVariables(body) {
+  return findVariables(body).filter(name => !Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name));
+}
+
+/**
+ * First name from a display name: "Jane Doe" -> "Jane", "Doe, Jane" -> "Jane"
+ */
+function firstName(name) {
+  const parts = name.includes(',') ? name.split(',').slice(1).join(' ') : name;
+  return parts.trim().split(/\s+/)[0] || '';
+}
+
+/**
+ * Placeholder values for a reply to a message
+ * @param {object} message - getMessage result ({ from, subject })
+ * @param {object} [user] - { email, displayName }
+ * @returns {object} - Value per variable name
+ */
+function templateValues(message, user = {}) {
+  const sender = parseAddress(message.from) || { name: '', email: '' };
+  const today = new Date().toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: process.env.TEMPLATE_TIMEZONE || undefined
+  });
+
+  return {
+    sender_name: sender.name || sender.email,
+    sender_first_name: firstName(sender.name),
+    sender_email: sender.email,
+    subject: (message.subject || '').replace(/^(re|fwd?):\s*/i, ''),
+    today,
+    my_name: user.displayName || '',
+    my_email: user.email || ''
+  };
+}
+
+/**
+ * Replace the placeholders in a template body; unknown placeholders are left as they are
+ */
+function renderTemplate(body, values) {
+  return String(body || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = values[name.toLowerCase()];
+    return value === undefined ? match : value;
+  });
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  findVariables,
+  findUnknownVariables,
+  templateValues,
+  renderTemplate
+};
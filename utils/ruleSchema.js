@@ -0,0 +1,249 @@
+/**
+ * Reply rules
+ * Validates user-defined rules ("if category is Leave Request and the sender is @ourcompany.com,
+ * reply with template X") and matches their conditions against a classified message.
+ *
+ * Rule shape:
+ * {
+ *   name, enabled, priority, dryRun,
+ *   conditions: { categories, minConfidence, senders, subjectKeywords, timeOfDay: { start, end, timezone } },
+ *   actions: [{ type: 'label', label } | { type: 'draft', templateId? } | { type: 'send', templateId? } | { type: 'notify', url }]
+ * }
+ * Every condition that is set must match; senders and subjectKeywords match if any entry does.
+ */
+
+const ACTION_TYPES = ['label', 'draft', 'send', 'notify'];
+const MAX_LIST_ITEMS = 50;
+const MAX_ACTIONS = 5;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length <= MAX_LIST_ITEMS && value.every(item => typeof item === 'string' && item.trim());
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Notification URLs must be public https endpoints
+ * (a check on the URL only; utils/webhook.js also refuses hosts that resolve to private addresses)
+ */
+function isAllowedWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  const isIpLiteral = /^[\d.]+$/.test(host) || host.includes(':') || host.startsWith('[');
+  return url.protocol === 'https:' && !isIpLiteral && host !== 'localhost' && !host.endsWith('.localhost') && !host.endsWith('.local') && !host.endsWith('.internal');
+}
+
+/**
+ * Validate rule conditions
+ * @returns {{ conditions: object, error: string|null }}
+ */
+function validateConditions(input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'conditions must be an object' };
+  }
+  const { categories, minConfidence, senders, subjectKeywords, timeOfDay } = input;
+  const conditions = {};
+
+  if (categories !== undefined && categories !== null) {
+    if (!isStringList(categories)) return { error: `conditions.categories must be an array of up to ${MAX_LIST_ITEMS} category names` };
+    conditions.categories = categories.map(c => c.trim());
+  }
+
+  if (minConfidence !== undefined && minConfidence !== null) {
+    if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+      return { error: 'conditions.minConfidence must be a number between 0 and 1' };
+    }
+    conditions.minConfidence = minConfidence;
+  }
+
+  if (senders !== undefined && senders !== null) {
+    if (!isStringList(senders)) return { error: `conditions.senders must be an array of up to ${MAX_LIST_ITEMS} addresses or domains` };
+    conditions.senders = senders.map(s => s.trim().toLowerCase());
+  }
+
+  if (subjectKeywords !== undefined && subjectKeywords !== null) {
+    if (!isStringList(subjectKeywords)) return { error: `conditions.subjectKeywords must be an array of up to ${MAX_LIST_ITEMS} strings` };
+    conditions.subjectKeywords = subjectKeywords.map(k => k.trim());
+  }
+
+  if (timeOfDay !== undefined && timeOfDay !== null) {
+    const { start, end, timezone } = timeOfDay || {};
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      return { error: 'conditions.timeOfDay needs start and end as "HH:MM" (24-hour)' };
+    }
+    if (timezone !== undefined && timezone !== null && (typeof timezone !== 'string' || !isTimeZone(timezone))) {
+      return { error: 'conditions.timeOfDay.timezone must be an IANA time zone such as "Europe/London"' };
+    }
+    conditions.timeOfDay = { start, end, timezone: timezone || null };
+  }
+
+  return { conditions, error: null };
+}
+
+/**
+ * Validate rule actions
+ * @returns {{ actions: object[], error: string|null }}
+ */
+function validateActions(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_ACTIONS) {
+    return { error: `actions must be an array of 1 to ${MAX_ACTIONS} actions` };
+  }
+
+  const actions = [];
+  for (const [index, action] of input.entries()) {
+    const type = action?.type;
+    if (!ACTION_TYPES.includes(type)) {
+      return { error: `actions[${index}].type must be one of ${ACTION_TYPES.join(', ')}` };
+    }
+
+    if (type === 'label') {
+      if (typeof action.label !== 'string' || !action.label.trim() || action.label.length > 100) {
+        return { error: `actions[${index}].label is required (max 100 characters)` };
+      }
+      actions.push({ type, label: action.label.trim() });
+    } else if (type === 'notify') {
+      if (typeof action.url !== 'string' || !isAllowedWebhookUrl(action.url)) {
+        return { error: `actions[${index}].url must be a public https URL` };
+      }
+      actions.push({ type, url: action.url });
+    } else {
+      if (action.templateId !== undefined && action.templateId !== null && !Number.isInteger(action.templateId)) {
+        return { error: `actions[${index}].templateId must be a template ID` };
+      }
+      actions.push({ type, templateId: action.templateId ?? null });
+    }
+  }
+
+  if (actions.filter(a => a.type === 'draft' || a.type === 'send').length > 1) {
+    return { error: 'A rule can draft or send at most one reply' };
+  }
+  return { actions, error: null };
+}
+
+/**
+ * Validate a rule payload
+ * @param {object} body - Request body
+ * @param {boolean} partial - True for updates (all fields optional)
+ * @returns {{ rule: object, error: string|null }}
+ */
+function validateRuleInput(body, partial = false) {
+  const { name, enabled, priority, dryRun, conditions, actions } = body || {};
+  const rule = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    rule.name = name.trim();
+  }
+
+  for (const [field, value] of Object.entries({ enabled, dryRun })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') return { error: `${field} must be true or false` };
+    rule[field] = value;
+  }
+
+  if (priority !== undefined) {
+    if (!Number.isInteger(priority) || priority < 0 || priority > 1000) {
+      return { error: 'priority must be a whole number from 0 to 1000 (lower runs first)' };
+    }
+    rule.priority = priority;
+  }
+
+  if (conditions !== undefined || !partial) {
+    const result = validateConditions(conditions ?? {});
+    if (result.error) return { error: result.error };
+    rule.conditions = result.conditions;
+  }
+
+  if (actions !== undefined || !partial) {
+    const result = validateActions(actions);
+    if (result.error) return { error: result.error };
+    rule.actions = result.actions;
+  }
+
+  return { rule, error: null };
+}
+
+/**
+ * Minutes since midnight in the given time zone (server time zone if null)
+ */
+function minutesOfDay(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: timezone || undefined
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Does a sender match "jane@example.com", "@example.com" or "example.com" (subdomains included)?
+ */
+function senderMatches(email, pattern) {
+  if (pattern.includes('@') && !pattern.startsWith('@')) return email === pattern;
+  const domain = pattern.replace(/^@/, '');
+  const senderDomain = email.split('@')[1] || '';
+  return senderDomain === domain || senderDomain.endsWith(`.${domain}`);
+}
+
+/**
+ * Check a rule's conditions against a classified message
+ * @param {object} conditions - Validated conditions
+ * @param {object} context - { category, confidence, senderEmail, subject, now }
+ * @returns {string[]} - The conditions that did not match (empty when the rule applies)
+ */
+function unmatchedConditions(conditions, { category, confidence, senderEmail, subject, now = new Date() }) {
+  const failed = [];
+
+  if (conditions.categories && !conditions.categories.some(c => c.toLowerCase() === (category || '').toLowerCase())) {
+    failed.push('categories');
+  }
+  if (conditions.minConfidence !== undefined && !(typeof confidence === 'number' && confidence >= conditions.minConfidence)) {
+    failed.push('minConfidence');
+  }
+  if (conditions.senders && !conditions.senders.some(pattern => senderMatches(senderEmail || '', pattern))) {
+    failed.push('senders');
+  }
+  if (conditions.subjectKeywords && !conditions.subjectKeywords.some(k => (subject || '').toLowerCase().includes(k.toLowerCase()))) {
+    failed.push('subjectKeywords');
+  }
+  if (conditions.timeOfDay) {
+    const { start, end, timezone } = conditions.timeOfDay;
+    const minutes = minutesOfDay(now, timezone);
+    // A window such as 22:00-06:00 wraps past midnight
+    const inWindow = toMinutes(start) <= toMinutes(end)
+      ? minutes >= toMinutes(start) && minutes < toMinutes(end)
+      : minutes >= toMinutes(start) || minutes < toMinutes(end);
+    if (!inWindow) failed.push('timeOfDay');
+  }
+
+  return failed;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateRuleInput,
+  unmatchedConditions,
+  senderMatches
+};
@@ -0,0 +1,168 @@
+/**
+ * Session utilities
+ * Issues and verifies signed, expiring session tokens backed by the sessions table
+ */
+
+const crypto = require('crypto');
+
+const SESSION_SECRET = process.env.SESSION_SECRET;
+
+// A random secret would log everyone out on every restart and make instances reject each other's tokens
+if (!SESSION_SECRET && process.env.NODE_ENV !== 'development') {
+  throw new Error('SESSION_SECRET is required. Set it in .env (see .env.example); only NODE_ENV=development may run without it');
+}
+if (!SESSION_SECRET) {
+  console.warn('⚠️  SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts');
+}
+const ACTUAL_SESSION_SECRET = SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24;
+const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'sid';
+
+/**
+ * @param {string} value - Value to sign
+ * @returns {string} - HMAC-SHA256 signature (base64url)
+ */
+function sign(value) {
+  return crypto.createHmac('sha256', ACTUAL_SESSION_SECRET).update(value).digest('base64url');
+}
+
+/**
+ * Constant-time comparison of two signatures
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * @param {string} id - Session ID
+ * @returns {string} - Token in the form "<id>.<signature>"
+ */
+function createToken(id) {
+  return `${id}.${sign(id)}`;
+}
+
+/**
+ * @param {string} token - Token to verify
+ * @returns {string|null} - Session ID if the signature is valid, null otherwise
+ */
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [id, signature] = token.split('.');
+  if (!id || !signature) return null;
+  return safeEqual(signature, sign(id)) ? id : null;
+}
+
+/**
+ * Parse the Cookie header into a plain object
+ */
+function parseCookies(req) {
+  const header = req.headers.cookie;
+  if (!header) return {};
+
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index === -1) return cookies;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Read the session token from the Authorization header or the session cookie
+ * @returns {{ token: string, source: 'bearer'|'cookie' }|null}
+ */
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.slice(7).trim(), source: 'bearer' };
+  }
+
+  const cookieToken = parseCookies(req)[SESSION_COOKIE_NAME];
+  return cookieToken ? { token: cookieToken, source: 'cookie' } : null;
+}
+
+/**
+ * Create a new session for a user
+ * @param {string} userId - User the session belongs to
+ * @param {object} req - Express request (used for user agent / IP bookkeeping)
+ * @returns {Promise<{ id: string, token: string, userId: string, expiresAt: Date }>}
+ */
+async function createSession(userId, req) {
+  const db = require('./db');
+  const id = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  await db.sessions.create({
+    id,
+    userId,
+    expiresAt,
+    userAgent: req?.headers['user-agent'] || null,
+    ipAddress: req?.ip || null
+  });
+
+  return { id, token: createToken(id), userId, expiresAt };
+}
+
+/**
+ * Resolve the active session for a request
+ * Result is cached on the request so multiple middlewares can call it cheaply
+ * @returns {Promise<object|null>} - Session ({ id, userId, expiresAt, source }) or null
+ */
+async function authenticateRequest(req) {
+  if (req.session !== undefined) return req.session;
+
+  const db = require('./db');
+  const requestToken = getRequestToken(req);
+  const sessionId = requestToken ? verifyToken(requestToken.token) : null;
+  const session = sessionId ? await db.sessions.findActive(sessionId) : null;
+
+  req.session = session ? { ...session, source: requestToken.source } : null;
+  return req.session;
+}
+
+/**
+ * Revoke a session (logout)
+ */
+async function revokeSession(sessionId) {
+  const db = require('./db');
+  await db.sessions.revoke(sessionId);
+}
+
+/**
+ * Set the session cookie on a response
+ */
+function setSessionCookie(res, session) {
+  res.cookie(SESSION_COOKIE_NAME, session.token, {
+    httpOnly: true,
+    secure: (process.env.BASE_URL || '').startsWith('https://'),
+    sameSite: 'lax',
+    expires: session.expiresAt,
+    path: '/'
+  });
+}
+
+/**
+ * Clear the session cookie on a response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+}
+
+module.exports = {
+  createSession,
+  authenticateRequest,
+  revokeSession,
+  setSessionCookie,
+  clearSessionCookie,
+  parseCookies,
+  sign,
+  safeEqual
+};
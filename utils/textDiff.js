@@ -0,0 +1,46 @@
+/**
+ * Line diff
+ * Compact diff between two texts, used to record the edits made to an AI reply before it was sent.
+ */
+
+// Longer texts are compared as a whole instead of line by line
+const MAX_DIFF_LINES = 400;
+
+/**
+ * Line-by-line diff (longest common subsequence)
+ * @returns {string} - Changed lines only, prefixed with "-" (removed) or "+" (added); '' if the texts match
+ */
+function lineDiff(before, after) {
+  const a = String(before || '').replace(/\r\n?/g, '\n').trim().split('\n');
+  const b = String(after || '').replace(/\r\n?/g, '\n').trim().split('\n');
+  if (a.join('\n') === b.join('\n')) return '';
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [...a.map(line => `- ${line}`), ...b.map(line => `+ ${line}`)].join('\n');
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      out.push(`- ${a[i++]}`);
+    } else {
+      out.push(`+ ${b[j++]}`);
+    }
+  }
+  return out.join('\n');
+}
+
+module.exports = { lineDiff };
@@ -0,0 +1,83 @@
+/**
+ * Outgoing webhooks
+ * POSTs JSON to user-supplied URLs (rule notify actions) without letting them reach internal
+ * services: the host name is resolved and the connection refused if any address is private,
+ * loopback, link-local or unique-local, and redirects are never followed. The check runs in the
+ * socket's own DNS lookup, so the address that is checked is the one connected to.
+ */
+
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * True for addresses a webhook may connect to (IPv4-mapped IPv6 addresses are checked as IPv4)
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup replacement that fails when the host resolves to any non-public address
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * postJson - POST a JSON body to a public https URL.
+ * Redirects are treated as failures; so is any status outside 2xx.
+ * Returns: the response status code
+ */
+function postJson(url, body, { timeoutMs = 5000 } = {}) {
+  const target = new URL(url);
+  if (target.protocol !== 'https:') {
+    return Promise.reject(new Error('Webhook URL must use https'));
+  }
+  if (net.isIP(target.hostname.replace(/^\[|\]$/g, ''))) {
+    return Promise.reject(new Error('Webhook URL must use a host name, not an IP address'));
+  }
+
+  const payload = Buffer.from(JSON.stringify(body));
+  return new Promise((resolve, reject) => {
+    const req = https.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': payload.length },
+      lookup: publicLookup,
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        return reject(new Error(`Notification endpoint redirected (${res.statusCode}); redirects are not followed`));
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return reject(new Error(`Notification endpoint returned ${res.statusCode}`));
+      }
+      resolve(res.statusCode);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Notification endpoint did not respond within ${timeoutMs} ms`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { postJson, isPublicAddress };